@@ -0,0 +1,309 @@
+// Catalogue loading: download, on-disk cache and normalization of the models.dev api.json
+import { mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import os from 'os';
+import path from 'path';
+import { recordHistory } from './history.js';
+import { canonicalModelId } from './group.js';
+import { fetchJson } from './network.js';
+
+const API_URL = 'https://models.dev/api.json';
+const DEFAULT_SOURCE_LABEL = 'models.dev';
+
+// Raw api.json payload is cached on disk so repeated runs (and offline ones) skip the network.
+// Location follows XDG: $XDG_CACHE_HOME/models-dev, falling back to ~/.cache/models-dev.
+const CACHE_DIR = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'models-dev');
+const CACHE_FILE = path.join(CACHE_DIR, 'api.json');
+const DEFAULT_CACHE_TTL = '1h';
+
+// Each download attempt gives up after the timeout; transient failures are retried
+const DEFAULT_TIMEOUT = '15s';
+const DEFAULT_RETRIES = 2;
+
+// User files (overlay.json, config.json) live under $XDG_CONFIG_HOME/models-dev, falling back
+// to ~/.config/models-dev. The overlay holds private models and local overrides, applied on top
+// of every source when the file exists.
+const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'models-dev');
+const OVERLAY_FILE = path.join(CONFIG_DIR, 'overlay.json');
+
+// Parse "90", "90s", "30m", "6h", "2d" into milliseconds (bare numbers are seconds).
+const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/i.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid duration: ${value} (expected e.g. 90, 30m, 6h, 2d)`);
+  const unit = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3 }[(match[2] || 's').toLowerCase()];
+  return Number(match[1]) * unit;
+};
+
+const formatAge = (ms) => {
+  if (ms < 60e3) return 'just now';
+  if (ms < 3600e3) return `${Math.floor(ms / 60e3)}m ago`;
+  if (ms < 86400e3) return `${Math.floor(ms / 3600e3)}h ago`;
+  return `${Math.floor(ms / 86400e3)}d ago`;
+};
+
+// models.dev keeps the historical api.json name; mirrors get one file per URL
+const cacheFileFor = (url) => url === API_URL
+  ? CACHE_FILE
+  : path.join(CACHE_DIR, `api-${createHash('sha1').update(url).digest('hex').slice(0, 12)}.json`);
+
+const readCache = async (url) => {
+  try {
+    const entry = JSON.parse(await readFile(cacheFileFor(url), 'utf8'));
+    if (!entry?.data || typeof entry.fetchedAt !== 'number') return null;
+    if (entry.url && entry.url !== url) return null;
+    return entry;
+  } catch {
+    return null; // missing or corrupt cache is treated as no cache
+  }
+};
+
+// etag / lastModified are the response's validators, sent back to revalidate the copy once it expires
+const writeCache = async (url, data, { etag = null, lastModified = null } = {}) => {
+  const entry = { fetchedAt: Date.now(), url, etag, lastModified, data };
+  const file = cacheFileFor(url);
+  try {
+    await mkdir(CACHE_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(entry));
+    await rename(tmp, file);
+  } catch {
+    // cache is best-effort: a read-only home must not break the CLI
+  }
+  return entry;
+};
+
+const isUrl = (source) => /^https?:\/\//i.test(source);
+
+const loadUrlSource = async (url, { label, offline, refresh, maxAge, network }) => {
+  const cached = await readCache(url);
+  if (offline) {
+    if (!cached) throw new Error(`Offline mode: no cached catalogue at ${cacheFileFor(url)}. Run once without --offline to populate it.`);
+    return { data: cached.data, fetchedAt: cached.fetchedAt, fromCache: true, stale: false };
+  }
+  if (cached && !refresh && Date.now() - cached.fetchedAt < maxAge) {
+    return { data: cached.data, fetchedAt: cached.fetchedAt, fromCache: true, stale: false };
+  }
+  let entry;
+  try {
+    // An expired copy (or any copy, on --refresh) is revalidated: a 304 renews it without a download
+    const res = await fetchJson(url, { ...network, etag: cached?.etag, lastModified: cached?.lastModified });
+    if (res.notModified) {
+      const renewed = await writeCache(url, cached.data, cached);
+      return { data: renewed.data, fetchedAt: renewed.fetchedAt, fromCache: true, stale: false };
+    }
+    if (!res.data || typeof res.data !== 'object' || Array.isArray(res.data)) throw new Error(`${url} is not a provider → models JSON object`);
+    entry = await writeCache(url, res.data, res);
+  } catch (err) {
+    // Network trouble with an expired cache on disk: better stale data than none
+    if (!cached) throw err;
+    network.onWarning(`${err.message}\nUsing the cached catalogue from ${formatAge(Date.now() - cached.fetchedAt)}.`);
+    return { data: cached.data, fetchedAt: cached.fetchedAt, fromCache: true, stale: true };
+  }
+  // What moved since the copy this download replaces goes to the history log; outside the try,
+  // since the download itself succeeded
+  if (cached) await recordHistory(cached.data, entry.data, { source: label, at: entry.fetchedAt });
+  return { data: entry.data, fetchedAt: entry.fetchedAt, fromCache: false, stale: false };
+};
+
+// A local file: a raw api.json, a snapshot or cache file ({ fetchedAt, data }), or an overlay
+const loadFileSource = async (file) => {
+  let parsed, stats;
+  try {
+    [parsed, stats] = await Promise.all([readFile(file, 'utf8').then(JSON.parse), stat(file)]);
+  } catch (e) {
+    throw new Error(`Cannot read catalogue source ${file}: ${e.message}`);
+  }
+  const data = parsed?.data ?? parsed;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file} is not a provider → models JSON object`);
+  return { data, fetchedAt: parsed?.fetchedAt ?? stats.mtimeMs, fromCache: false, stale: false };
+};
+
+// Overlay path: explicit option, $MODELS_DEV_OVERLAY, then the default file when it exists.
+// false disables the overlay.
+const resolveOverlay = async (overlay) => {
+  if (overlay === false) return null;
+  const explicit = overlay ?? process.env.MODELS_DEV_OVERLAY;
+  if (explicit) return explicit;
+  try {
+    await stat(OVERLAY_FILE);
+    return OVERLAY_FILE;
+  } catch {
+    return null;
+  }
+};
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+// Objects merge key by key; anything else (arrays, scalars, null) replaces
+const deepMerge = (base, patch) => {
+  if (!isPlainObject(base) || !isPlainObject(patch)) return patch;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch)) out[k] = deepMerge(base[k], v);
+  return out;
+};
+
+const sameJson = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Apply one provider → models layer onto the merged payload. New models are tagged with the
+// layer's label in _source; normalized fields a layer changes on an existing model are
+// recorded in _overrides (field => label). `hidden: true` removes a provider or model.
+const mergeLayer = (merged, layer, label) => {
+  for (const [providerKey, provider] of Object.entries(layer)) {
+    if (!isPlainObject(provider)) continue;
+    if (provider.hidden) { delete merged[providerKey]; continue; }
+    const { models = {}, hidden, ...meta } = provider;
+    const target = merged[providerKey] = deepMerge(merged[providerKey] ?? {}, meta);
+    target.models = { ...target.models };
+    for (const [modelKey, patch] of Object.entries(models)) {
+      if (!isPlainObject(patch)) continue;
+      const { hidden: hideModel, ...fields } = patch;
+      const prev = target.models[modelKey];
+      if (hideModel) { delete target.models[modelKey]; continue; }
+      if (!prev) {
+        target.models[modelKey] = { ...fields, id: fields.id ?? modelKey, _source: label };
+        continue;
+      }
+      const next = deepMerge(prev, fields);
+      const before = normalizeModel(prev, providerKey, target);
+      const after = normalizeModel(next, providerKey, target);
+      const changed = Object.keys(after).filter(f => f !== 'source' && f !== 'overrides' && !sameJson(before[f], after[f]));
+      if (changed.length) next._overrides = { ...prev._overrides, ...Object.fromEntries(changed.map(f => [f, label])) };
+      target.models[modelKey] = next;
+    }
+  }
+  return merged;
+};
+
+// Shared loading layer for every entry point.
+// Returns { data, fetchedAt, fromCache, stale, sources } where data is the merged raw api.json
+// payload and sources the labels of the layers in it.
+//   sources: URLs and/or files merged in order (default: models.dev)
+//   overlay: overlay file applied last (default: OVERLAY_FILE when present; false for none)
+//   offline: never touch the network; fail if a URL source is not cached
+//   refresh: download even while the cached copy is fresh (a 304 from the server still renews it)
+//   ttl:     max cache age (duration string, see parseDuration)
+//   timeout: per-attempt download timeout (duration string; default $MODELS_DEV_TIMEOUT or 15s)
+//   retries: further attempts after a transient failure (default $MODELS_DEV_RETRIES or 2)
+//   caFile:  PEM bundle trusted on top of Node's roots (default $MODELS_DEV_CA_FILE)
+//   onWarning: called with download retries and stale-cache fallbacks; nothing is printed
+// Proxies come from HTTPS_PROXY / HTTP_PROXY / ALL_PROXY and NO_PROXY; see network.js.
+const loadRawCatalogue = async ({ sources, overlay, offline = false, refresh = false, ttl, timeout, retries, caFile, onWarning = () => {} } = {}) => {
+  const maxAge = parseDuration(ttl ?? process.env.MODELS_DEV_CACHE_TTL ?? DEFAULT_CACHE_TTL);
+  const network = {
+    timeout: parseDuration(timeout ?? process.env.MODELS_DEV_TIMEOUT ?? DEFAULT_TIMEOUT),
+    retries: Number(retries ?? process.env.MODELS_DEV_RETRIES ?? DEFAULT_RETRIES),
+    caFile: caFile ?? process.env.MODELS_DEV_CA_FILE ?? null,
+    onWarning
+  };
+  if (!(network.timeout > 0)) throw new Error('Timeout must be greater than zero');
+  if (!Number.isInteger(network.retries) || network.retries < 0) throw new Error(`Invalid retries: ${retries ?? process.env.MODELS_DEV_RETRIES} (expected a non-negative integer)`);
+  const list = sources?.length ? sources : [API_URL];
+  const layers = await Promise.all(list.map(async (source) => {
+    const label = source === API_URL ? DEFAULT_SOURCE_LABEL : source;
+    return { label, ...(isUrl(source) ? await loadUrlSource(source, { label, offline, refresh, maxAge, network }) : await loadFileSource(source)) };
+  }));
+  const overlayFile = await resolveOverlay(overlay);
+  const overlayLayer = overlayFile ? { label: overlayFile, ...await loadFileSource(overlayFile) } : null;
+  const data = [...layers, overlayLayer].filter(Boolean).reduce((merged, l) => mergeLayer(merged, l.data, l.label), {});
+  return {
+    data,
+    fetchedAt: Math.min(...layers.map(l => l.fetchedAt)),
+    fromCache: layers.every(l => l.fromCache),
+    stale: layers.some(l => l.stale),
+    sources: [...layers, overlayLayer].filter(Boolean).map(l => l.label)
+  };
+};
+
+// One api.json model entry in the flat shape used everywhere else (see Model in index.d.ts)
+const normalizeModel = (m, providerKey, provider = {}) => ({
+  providerId: providerKey,
+  provider: provider.name ?? providerKey,
+  // Provider-level settings, repeated on each model so every record stands alone
+  providerEnv: provider.env ?? [],
+  providerNpm: provider.npm ?? null,
+  providerApi: provider.api ?? null,
+  providerDoc: provider.doc ?? null,
+  id: m.id,
+  name: m.name,
+  // Shared by the same model across providers (see lib/group.js)
+  canonicalId: m.canonical ?? canonicalModelId(m.id),
+  tool: !!m.tool_call,
+  reasoning: !!m.reasoning,
+  attachment: !!m.attachment,
+  temperature: !!m.temperature,
+  openWeights: !!m.open_weights,
+  modalitiesInput: m.modalities?.input ?? [],
+  modalitiesOutput: m.modalities?.output ?? [],
+  inputCost: m.cost?.input ?? null,
+  outputCost: m.cost?.output ?? null,
+  cacheReadCost: m.cost?.cache_read ?? null,
+  cacheWriteCost: m.cost?.cache_write ?? null,
+  contextLimit: m.limit?.context ?? null,
+  outputLimit: m.limit?.output ?? null,
+  knowledge: m.knowledge ?? null,
+  releaseDate: m.release_date ?? null,
+  lastUpdated: m.last_updated ?? null,
+  // Provenance, set when the catalogue was merged from sources/an overlay (see mergeLayer)
+  source: m._source ?? null,
+  ...(m._overrides && { overrides: m._overrides })
+});
+
+const normalizeCatalogue = (raw) => {
+  const models = [];
+  for (const [providerKey, provider] of Object.entries(raw)) {
+    if (!provider?.models) continue;
+    for (const m of Object.values(provider.models)) models.push(normalizeModel(m, providerKey, provider));
+  }
+  return models;
+};
+
+// Normalized models plus cache metadata (used by the TUIs to show data age)
+const loadCatalogue = async (cacheOpts) => {
+  const { data, ...meta } = await loadRawCatalogue(cacheOpts);
+  return { models: normalizeCatalogue(data), ...meta };
+};
+
+const fetchCatalogue = async (cacheOpts) => (await loadCatalogue(cacheOpts)).models;
+
+const modelKey = (m) => `${m.providerId}/${m.id}`;
+
+// Provider ids with display names and model counts, by id
+const listProviders = (models) => {
+  const byId = new Map();
+  for (const m of models) {
+    const entry = byId.get(m.providerId) ?? { id: m.providerId, name: m.provider, models: 0 };
+    entry.models++;
+    byId.set(m.providerId, entry);
+  }
+  return [...byId.values()].sort((a, b) => a.id.localeCompare(b.id));
+};
+
+// A model reference that resolves to no model (reason 'unknown') or to several ('ambiguous',
+// with their keys in `matches`)
+class ModelRefError extends Error {
+  constructor(reason, ref, matches = []) {
+    super(reason === 'ambiguous'
+      ? `Ambiguous model "${ref}": ${matches.join(', ')}`
+      : `Unknown model "${ref}" (expected providerId/modelId)`);
+    this.name = 'ModelRefError';
+    this.reason = reason;
+    this.ref = ref;
+    this.matches = matches;
+  }
+}
+
+// Resolve "providerId/id" (or a bare model id when unique) to a single model
+const resolveModelRef = (models, ref) => {
+  const exact = models.find(m => modelKey(m) === ref);
+  if (exact) return exact;
+  const byId = models.filter(m => m.id === ref);
+  if (byId.length === 1) return byId[0];
+  if (byId.length > 1) throw new ModelRefError('ambiguous', ref, byId.map(modelKey));
+  throw new ModelRefError('unknown', ref);
+};
+
+export {
+  API_URL, CACHE_FILE, CONFIG_DIR, OVERLAY_FILE, DEFAULT_CACHE_TTL, DEFAULT_TIMEOUT, DEFAULT_RETRIES, parseDuration, formatAge,
+  loadRawCatalogue, normalizeModel, normalizeCatalogue, loadCatalogue, fetchCatalogue,
+  modelKey, listProviders, ModelRefError, resolveModelRef
+};
@@ -0,0 +1,218 @@
+// Terminal charts (`chart` command, the blessed TUI chart view): a scatter of two fields, or
+// bars of one, with points coloured by provider. Output goes through a `paint(text, style)`
+// function so the same drawing serves ANSI terminals (chalk, the default) and blessed tags.
+import { modelKey } from './catalogue.js';
+import { ansiPaint } from './format.js';
+
+const numberFields = ['inputCost', 'outputCost', 'cacheReadCost', 'cacheWriteCost', 'contextLimit', 'outputLimit'];
+const dateFields = ['releaseDate', 'lastUpdated', 'knowledge'];
+const CHART_FIELDS = [...numberFields, ...dateFields];
+
+// Provider styles: six colours, then the next glyph
+const colors = ['cyan', 'magenta', 'yellow', 'green', 'blue', 'red'];
+const glyphs = ['●', '■', '▲', '◆'];
+
+const fmtTokens = (n) => n >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${Math.round(n / 1e3)}k` : String(Math.round(n));
+const fmtUsd = (n) => `$${n >= 100 ? Math.round(n) : +n.toPrecision(3)}`;
+const fmtAxis = (field, v) => {
+  if (dateFields.includes(field)) return new Date(v).toISOString().slice(0, 7);
+  return field.endsWith('Cost') ? fmtUsd(v) : fmtTokens(v);
+};
+
+// An axis: raw value per model, and a transform to plot space. Log scales only apply to
+// numeric fields and skip values <= 0, which have no place on them.
+const axisFor = (field, log) => {
+  const isDate = dateFields.includes(field);
+  const useLog = log && !isDate;
+  return {
+    field,
+    log: useLog,
+    date: isDate,
+    value: (m) => {
+      const v = isDate ? (m[field] ? Date.parse(m[field]) : NaN) : m[field];
+      return v == null || Number.isNaN(v) || (useLog && v <= 0) ? null : v;
+    },
+    to: (v) => useLog ? Math.log10(v) : v,
+    from: (t) => useLog ? 10 ** t : t
+  };
+};
+
+const extent = (values) => {
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) { min -= 1; max += 1; }
+  return { min, max };
+};
+
+// Same provider → same style, in provider order, for points and the legend
+const providerStyles = (models) => {
+  const providers = [...new Set(models.map(m => m.provider))].sort((a, b) => a.localeCompare(b));
+  return new Map(providers.map((p, i) => [p, { color: colors[i % colors.length], glyph: glyphs[Math.floor(i / colors.length) % glyphs.length] }]));
+};
+
+// Points far from the trend: robust z-score (median / MAD) of the residuals of a least-squares
+// line through the plotted points. Small sets are all labelled.
+const findOutliers = (points, max = 8) => {
+  if (points.length <= 4) return points;
+  const n = points.length;
+  const mx = points.reduce((s, p) => s + p.tx, 0) / n;
+  const my = points.reduce((s, p) => s + p.ty, 0) / n;
+  const sxx = points.reduce((s, p) => s + (p.tx - mx) ** 2, 0);
+  const slope = sxx ? points.reduce((s, p) => s + (p.tx - mx) * (p.ty - my), 0) / sxx : 0;
+  const residuals = points.map(p => p.ty - (my + slope * (p.tx - mx)));
+  const median = (xs) => { const s = [...xs].sort((a, b) => a - b); return s[Math.floor(s.length / 2)]; };
+  const mid = median(residuals);
+  const mad = median(residuals.map(r => Math.abs(r - mid))) * 1.4826;
+  if (!mad) return [];
+  return points
+    .map((p, i) => ({ p, z: Math.abs(residuals[i] - mid) / mad }))
+    .filter(o => o.z > 2.5)
+    .sort((a, b) => b.z - a.z)
+    .slice(0, max)
+    .map(o => o.p);
+};
+
+const legendLines = (styles, paint, width) => {
+  const lines = [];
+  let line = '';
+  let length = 0;
+  for (const [provider, style] of styles) {
+    const text = `${style.glyph} ${provider}`;
+    if (length && length + text.length + 2 > width) {
+      lines.push(line);
+      line = '';
+      length = 0;
+    }
+    line += (length ? '  ' : '') + paint(style.glyph, { color: style.color }) + paint(` ${provider}`);
+    length += (length ? 2 : 0) + text.length;
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Scatter of y against x. `highlight` is a modelKey drawn inverted and always labelled.
+const renderScatter = (models, { x = 'contextLimit', y = 'inputCost', log = false, width = 80, height = 20, highlight = null, paint = ansiPaint } = {}) => {
+  const ax = axisFor(x, log);
+  const ay = axisFor(y, log);
+  const points = models
+    .map(m => ({ m, vx: ax.value(m), vy: ay.value(m) }))
+    .filter(p => p.vx != null && p.vy != null)
+    .map(p => ({ ...p, tx: ax.to(p.vx), ty: ay.to(p.vy) }));
+  const skipped = models.length - points.length;
+  const title = `${y} vs ${x}${ax.log || ay.log ? ' (log)' : ''}: ${points.length} model(s)` +
+    (skipped ? `, ${skipped} without ${ax.log || ay.log ? 'a positive value' : 'a value'} not plotted` : '');
+  if (!points.length) return paint(title, { dim: true });
+
+  const styles = providerStyles(points.map(p => p.m));
+  const xs = extent(points.map(p => p.tx));
+  const ys = extent(points.map(p => p.ty));
+  const yLabels = [ys.max, (ys.min + ys.max) / 2, ys.min].map(t => fmtAxis(y, ay.from(t)));
+  const gutter = Math.max(...yLabels.map(l => l.length)) + 1;
+  const cols = Math.max(10, width - gutter - 1);
+  const rows = Math.max(5, height);
+  const col = (t) => Math.round((t - xs.min) / (xs.max - xs.min) * (cols - 1));
+  const row = (t) => rows - 1 - Math.round((t - ys.min) / (ys.max - ys.min) * (rows - 1));
+
+  // grid[r][c] = { ch, style } or null
+  const grid = Array.from({ length: rows }, () => Array(cols).fill(null));
+  const byCell = new Map();
+  for (const p of points) {
+    p.r = row(p.ty);
+    p.c = col(p.tx);
+    const cell = `${p.r},${p.c}`;
+    byCell.set(cell, [...(byCell.get(cell) ?? []), p]);
+  }
+  for (const group of byCell.values()) {
+    const { r, c } = group[0];
+    const providers = new Set(group.map(p => p.m.provider));
+    const style = styles.get(group[0].m.provider);
+    // Several providers in one cell: a neutral marker
+    grid[r][c] = providers.size > 1 ? { ch: '◉', style: { bold: true } } : { ch: style.glyph, style: { color: style.color } };
+  }
+
+  const target = highlight && points.find(p => modelKey(p.m) === highlight);
+  if (target) grid[target.r][target.c] = { ch: grid[target.r][target.c].ch, style: { ...grid[target.r][target.c].style, inverse: true, bold: true } };
+
+  // Labels go right of the point when there is room, otherwise left, and never over anything
+  const labelled = [...(target ? [target] : []), ...findOutliers(points).filter(p => p !== target)];
+  for (const p of labelled) {
+    const text = p.m.id.length > 24 ? `${p.m.id.slice(0, 23)}…` : p.m.id;
+    const style = p === target ? { bold: true } : { color: styles.get(p.m.provider).color, dim: true };
+    const free = (start) => start >= 0 && start + text.length <= cols && grid[p.r].slice(start, start + text.length).every(cell => !cell);
+    const start = free(p.c + 2) ? p.c + 2 : free(p.c - 1 - text.length) ? p.c - 1 - text.length : null;
+    if (start == null) continue;
+    [...text].forEach((ch, i) => { grid[p.r][start + i] = { ch, style }; });
+  }
+
+  const renderRow = (cells) => {
+    let out = '';
+    let run = '';
+    let runStyle = null;
+    const flush = () => { if (run) out += runStyle ? paint(run, runStyle) : paint(run); run = ''; };
+    for (const cell of cells) {
+      const style = cell?.style ?? null;
+      if (style !== runStyle) { flush(); runStyle = style; }
+      run += cell?.ch ?? ' ';
+    }
+    flush();
+    return out;
+  };
+
+  const labelRows = { 0: yLabels[0], [Math.floor((rows - 1) / 2)]: yLabels[1], [rows - 1]: yLabels[2] };
+  const lines = [paint(title, { bold: true })];
+  grid.forEach((cells, r) => {
+    const label = labelRows[r];
+    lines.push(paint(label ? `${label.padStart(gutter - 1)} ┤` : `${' '.repeat(gutter)}│`, { dim: true }) + renderRow(cells));
+  });
+  lines.push(paint(`${' '.repeat(gutter)}└${'─'.repeat(cols)}`, { dim: true }));
+  const xLabels = [xs.min, (xs.min + xs.max) / 2, xs.max].map(t => fmtAxis(x, ax.from(t)));
+  const axisLine = Array(cols + 1).fill(' ');
+  const place = (text, at) => { const s = Math.max(0, Math.min(cols + 1 - text.length, at)); [...text].forEach((ch, i) => { axisLine[s + i] = ch; }); };
+  place(xLabels[0], 0);
+  place(xLabels[1], Math.round(cols / 2 - xLabels[1].length / 2));
+  place(xLabels[2], cols + 1 - xLabels[2].length);
+  lines.push(paint(`${' '.repeat(gutter)}${axisLine.join('')}`, { dim: true }));
+  lines.push(...legendLines(styles, paint, width));
+  return lines.join('\n');
+};
+
+// Horizontal bars of one field, largest first
+const renderBars = (models, { field = 'inputCost', log = false, width = 80, highlight = null, paint = ansiPaint } = {}) => {
+  const axis = axisFor(field, log);
+  const rows = models
+    .map(m => ({ m, v: axis.value(m) }))
+    .filter(r => r.v != null)
+    .sort((a, b) => b.v - a.v);
+  const skipped = models.length - rows.length;
+  const title = `${field}${axis.log ? ' (log)' : ''}: ${rows.length} model(s)` + (skipped ? `, ${skipped} without ${axis.log ? 'a positive value' : 'a value'} not shown` : '');
+  if (!rows.length) return paint(title, { dim: true });
+
+  const styles = providerStyles(rows.map(r => r.m));
+  const labels = rows.map(r => { const key = modelKey(r.m); return key.length > 36 ? `${key.slice(0, 35)}…` : key; });
+  const values = rows.map(r => fmtAxis(field, r.v));
+  const labelWidth = Math.max(...labels.map(l => l.length));
+  const valueWidth = Math.max(...values.map(v => v.length));
+  const barWidth = Math.max(5, width - labelWidth - valueWidth - 3);
+  const { min, max } = extent(rows.map(r => axis.to(r.v)));
+  const largest = rows[0].v; // rows are sorted largest first
+  // Linear bars start at zero; log and date bars at the smallest value, which still gets one
+  // cell (from zero, every epoch date would be a full-width bar)
+  const length = (v) => axis.log || axis.date
+    ? 1 + Math.round((axis.to(v) - min) / (max - min) * (barWidth - 1))
+    : Math.max(v > 0 ? 1 : 0, Math.round(v / largest * barWidth));
+
+  const lines = [paint(title, { bold: true })];
+  rows.forEach((r, i) => {
+    const style = styles.get(r.m.provider);
+    const selected = highlight && modelKey(r.m) === highlight;
+    lines.push(
+      paint(labels[i].padEnd(labelWidth), selected ? { bold: true, inverse: true } : {}) + ' ' +
+      paint('█'.repeat(length(r.v)), { color: style.color }) + ' ' +
+      paint(values[i], { dim: true })
+    );
+  });
+  lines.push(...legendLines(styles, paint, width));
+  return lines.join('\n');
+};
+
+export { CHART_FIELDS, renderScatter, renderBars };
@@ -0,0 +1,654 @@
+// Command-line interface. The bins in bin/ call run(); nothing here executes on import.
+import { Command, InvalidArgumentError } from 'commander';
+import { createRequire } from 'module';
+import chalk from 'chalk';
+import { DEFAULT_CACHE_TTL, DEFAULT_RETRIES, DEFAULT_TIMEOUT, OVERLAY_FILE, ModelRefError, fetchCatalogue, modelKey, parseDuration, resolveModelRef } from './catalogue.js';
+import { applyFilters, compileFilter, filterModels, parseFilterNumber, resolveField } from './filter.js';
+import { searchModels } from './search.js';
+import { applySort, compareByField, parseSort } from './sort.js';
+import { OUTPUT_FORMATS, formatCompare, formatModels, tableColumns } from './format.js';
+import { LIVE_SOURCE, diffCatalogues, formatDiffMarkdown, formatDiffTable, loadSnapshot, saveSnapshot } from './diff.js';
+import { costRecords, formatCostTable, parseTokenCount, rankByWorkload } from './cost.js';
+import { formatProvidersTable, summarizeProviders } from './providers.js';
+import { SNIPPET_TARGETS, buildSnippet } from './snippet.js';
+import { HISTORY_FILE, formatHistoryTable, lastPriceChanges, readHistory } from './history.js';
+import { STATS_GROUPS, catalogueStats, formatStatsMarkdown, formatStatsTable } from './stats.js';
+import { formatGroupTable, groupModels, groupRecords } from './group.js';
+import { CHART_FIELDS, renderBars, renderScatter } from './chart.js';
+import { formatModelDetail, modelField } from './detail.js';
+import { DEFAULT_WEIGHTS, RECOMMEND_CRITERIA, formatRecommendTable, parseWeights, recommendModels, recommendRecords } from './recommend.js';
+import { createCatalogueServer } from './server.js';
+import { runMcpServer } from './mcp.js';
+import { formatValidateReport, validateFiles } from './validate.js';
+import { COMPLETION_SHELLS, completionCandidates, completionScript } from './completion.js';
+import { CONFIG_FILE, getPreset, loadConfig, resolveFavorites } from './config.js';
+import { interactiveBlessedMode } from './tui-blessed.js';
+import { interactiveTableMode } from './tui-table.js';
+
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+// Map non-interactive CLI flags onto filterModels criteria. Negatable flags (--tool/--no-tool)
+// arrive from commander as true/false/undefined, which is exactly the criteria convention;
+// undefined also marks the flags a --preset may fill in.
+const criteriaFromOpts = (opts) => {
+  if (opts.openWeights && opts.closedWeights) throw new Error('Use either --open-weights or --closed-weights, not both');
+  return {
+    search: opts.search,
+    provider: opts.provider,
+    tool: opts.tool,
+    reasoning: opts.reasoning,
+    temperature: opts.temperature,
+    openWeights: opts.openWeights ? true : opts.closedWeights ? false : undefined,
+    minContext: opts.minContext,
+    maxInputCost: opts.maxInputCost,
+    maxOutputCost: opts.maxOutputCost,
+    modalitiesInput: opts.modalityIn,
+    modalitiesOutput: opts.modalityOut,
+    releasedAfter: opts.releasedAfter,
+    knowledgeAfter: opts.knowledgeAfter,
+    where: opts.where
+  };
+};
+
+// Criteria from --preset (and its sort), with the explicit flags taking precedence
+const presetCriteriaFrom = (config, opts) => {
+  const { sort, ...preset } = opts.preset ? getPreset(config, opts.preset) : {};
+  const explicit = Object.entries(criteriaFromOpts(opts)).filter(([, v]) => v !== undefined);
+  const criteria = { ...preset, ...Object.fromEntries(explicit) };
+  // Search results keep their relevance order unless a sort is asked for; the config's default
+  // sort does not count
+  return { criteria, sort: opts.sort ?? sort ?? (criteria.search ? null : config.sort) };
+};
+
+const cacheOptsFrom = (opts) => ({
+  sources: opts.source,
+  overlay: opts.overlay,
+  offline: opts.offline,
+  refresh: opts.refresh,
+  ttl: opts.cacheTtl,
+  timeout: opts.timeout,
+  retries: opts.retries,
+  caFile: opts.caFile,
+  // The library stays quiet; the CLI, TUIs and servers show retries and stale-data fallbacks
+  onWarning: (message) => console.error(chalk.yellow(message))
+});
+
+// Option argument parsers (commander reports InvalidArgumentError with the option name)
+const numberArg = (value) => {
+  const n = parseFilterNumber(String(value).trim());
+  if (n === null) throw new InvalidArgumentError(`Expected a number (k/M suffixes allowed), got ${value}`);
+  return n;
+};
+const intArg = (value) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new InvalidArgumentError(`Expected a non-negative integer, got ${value}`);
+  return n;
+};
+const collectArg = (value, previous = []) => [...previous, value];
+const listArg = (value, previous = []) => [...previous, ...value.split(',').map(v => v.trim()).filter(Boolean)];
+const dateArg = (value) => {
+  if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) throw new InvalidArgumentError(`Expected YYYY, YYYY-MM or YYYY-MM-DD, got ${value}`);
+  return value;
+};
+const formatArg = (value) => {
+  const format = value.toLowerCase() === 'md' ? 'markdown' : value.toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) throw new InvalidArgumentError(`Expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  return format;
+};
+const fieldsArg = (value, previous = []) => [
+  ...previous,
+  ...listArg(value).map(name => {
+    const key = resolveField(name);
+    if (!key) throw new InvalidArgumentError(`Unknown field: ${name} (fields: ${tableColumns.map(c => c.key).join(', ')})`);
+    return key;
+  })
+];
+const weightsArg = (value) => {
+  try {
+    return parseWeights(value);
+  } catch (e) {
+    throw new InvalidArgumentError(e.message);
+  }
+};
+const chartFieldArg = (value) => {
+  const key = resolveField(value);
+  if (!CHART_FIELDS.includes(key)) throw new InvalidArgumentError(`Expected a numeric or date field: ${CHART_FIELDS.join(', ')}`);
+  return key;
+};
+const durationArg = (value) => {
+  try {
+    return parseDuration(value);
+  } catch (e) {
+    throw new InvalidArgumentError(e.message);
+  }
+};
+const groupArg = (value) => {
+  if (!STATS_GROUPS.includes(value)) throw new InvalidArgumentError(`Expected one of ${STATS_GROUPS.join(', ')}`);
+  return value;
+};
+const targetArg = (value) => {
+  if (!SNIPPET_TARGETS.includes(value)) throw new InvalidArgumentError(`Expected one of ${SNIPPET_TARGETS.join(', ')}`);
+  return value;
+};
+const tokenArg = (value) => {
+  try { return parseTokenCount(value); } catch (e) { throw new InvalidArgumentError(e.message); }
+};
+const sortArg = (value) => {
+  try { parseSort(value); } catch (e) { throw new InvalidArgumentError(e.message); }
+  return value;
+};
+
+// Build a fresh program per run so embedders (and tests) can call run() more than once
+const createProgram = () => {
+  const program = new Command();
+  program
+    .name('models-dev')
+    .version(pkg.version)
+    .description('Explore the models.dev catalogue (non-interactive & interactive)')
+    .option('--search <query>', 'Ranked fuzzy search over name, id, provider and modalities; provider:groq, "exact text"')
+    .option('--provider <name>', 'Filter by provider (id or name)')
+    .option('--tool', 'Only models with tool calling')
+    .option('--no-tool', 'Only models without tool calling')
+    .option('--reasoning', 'Only models with reasoning capability')
+    .option('--no-reasoning', 'Only models without reasoning capability')
+    .option('--temperature', 'Only models with adjustable temperature')
+    .option('--no-temperature', 'Only models without adjustable temperature')
+    .option('--open-weights', 'Only open-weights models')
+    .option('--closed-weights', 'Only closed-weights models')
+    .option('--min-context <tokens>', 'Minimum context window, e.g. 128k', numberArg)
+    .option('--max-input-cost <usd>', 'Maximum input cost per 1M tokens', numberArg)
+    .option('--max-output-cost <usd>', 'Maximum output cost per 1M tokens', numberArg)
+    .option('--modality-in <list>', 'Required input modalities, e.g. image,pdf', listArg)
+    .option('--modality-out <list>', 'Required output modalities, e.g. image', listArg)
+    .option('--released-after <date>', 'Released on or after YYYY[-MM[-DD]]', dateArg)
+    .option('--knowledge-after <date>', 'Knowledge cutoff on or after YYYY[-MM[-DD]]', dateArg)
+    .option('--where <expr>', `Filter expression, e.g. "tool and ctx>=128k and in$<=3"`)
+    .option('--sort <field>', 'Sort by any field, optionally with direction: input-cost, context:desc, "release-date desc"', sortArg)
+    .option('--limit <n>', 'Show at most n models', intArg)
+    .option('--group', 'One row per model across providers, priced by its cheapest matching offering')
+    .option('--json', 'Output raw JSON for resulting models')
+    .option('--compact', 'Compact output provider:model:name:id (non-JSON)')
+    .option('--format <format>', `Output format: ${OUTPUT_FORMATS.join(' | ')}`, formatArg)
+    .option('--fields <list>', 'Columns to output, in order, e.g. provider,id,inputCost,contextLimit', fieldsArg)
+    .option('--preset <name>', `Apply a named filter preset from ${CONFIG_FILE}`)
+    .option('--ui <mode>', 'Interactive UI mode: blessed | table | auto (default, or "ui" in the config file)')
+    .option('--offline', 'Use the cached catalogue only (fail if none is cached)')
+    .option('--refresh', 'Ignore the cache and download a fresh catalogue')
+    .option('--cache-ttl <duration>', `Max cache age, e.g. 30m, 6h, 2d (default ${DEFAULT_CACHE_TTL}, env MODELS_DEV_CACHE_TTL)`)
+    .option('--timeout <duration>', `Give up on a download attempt after this long (default ${DEFAULT_TIMEOUT}, env MODELS_DEV_TIMEOUT)`)
+    .option('--retries <n>', `Retry failed downloads n times with backoff (default ${DEFAULT_RETRIES}, env MODELS_DEV_RETRIES)`, intArg)
+    .option('--ca-file <file>', 'Extra CA certificates (PEM) to trust, e.g. for a TLS-inspecting proxy (env MODELS_DEV_CA_FILE)')
+    .option('--source <url|file>', 'Catalogue URL or file, repeatable; later sources are merged over earlier ones (default models.dev)', collectArg)
+    .option('--overlay <file>', `Overlay adding, overriding or hiding models (default ${OVERLAY_FILE} if present, env MODELS_DEV_OVERLAY)`)
+    .option('--no-overlay', 'Ignore the overlay file')
+    .action(async (opts) => {
+      // --preset alone opens the UI with the preset applied; with any of these it prints instead
+      const otherFlagKeys = [
+        'search','provider','tool','reasoning','temperature','openWeights','closedWeights',
+        'minContext','maxInputCost','maxOutputCost','modalityIn','modalityOut','releasedAfter','knowledgeAfter',
+        'where','sort','limit','group','json','compact','format','fields'
+      ];
+      const passedOtherFlags = otherFlagKeys.some(k => opts[k] !== undefined);
+      let config, criteria, sort;
+      try {
+        config = await loadConfig();
+        ({ criteria, sort } = presetCriteriaFrom(config, opts));
+        // A bad --where is the user's to fix, not a reason to fall back from one UI to another
+        if (criteria.where) compileFilter(criteria.where);
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+      // The config's "ui" only picks the interactive mode; it never overrides output flags
+      const uiReq = opts.ui || process.env.MODELS_DEV_UI || (passedOtherFlags ? null : config.ui) || null;
+      const cacheOpts = cacheOptsFrom(opts);
+      const initial = { ...criteria, sort, group: !!opts.group };
+      const settings = { pageSize: config.pageSize };
+
+      // If UI is explicitly requested, honor it regardless of other flags
+      if (uiReq === 'table') {
+        await interactiveTableMode(cacheOpts, initial, settings);
+        return;
+      }
+      if (uiReq === 'blessed') {
+        try { await interactiveBlessedMode(cacheOpts, initial, settings); return; }
+        catch (e) { console.error('Blessed UI failed, falling back to table mode:', e.message); await interactiveTableMode(cacheOpts, initial, settings); return; }
+      }
+      if (!passedOtherFlags && (!uiReq || uiReq === 'auto')) {
+        // Auto-detect: try blessed then table
+        try { await interactiveBlessedMode(cacheOpts, initial, settings); return; }
+        catch (e) { console.error('Blessed UI failed, falling back to table mode:', e.message); await interactiveTableMode(cacheOpts, initial, settings); return; }
+      }
+      try {
+        const catalogue = await fetchCatalogue(cacheOpts);
+        // applyFilters, keeping the search hits for scores (--json) and highlighting (table)
+        const { search, ...filters } = criteria;
+        const hits = search ? new Map(searchModels(filterModels(catalogue, filters), search).map(h => [modelKey(h.model), h])) : null;
+        let models = hits ? [...hits.values()].map(h => h.model) : filterModels(catalogue, filters);
+        models = applySort(models, sort);
+        const format = opts.format ?? (opts.json ? 'json' : opts.compact ? 'compact' : 'table');
+        let output;
+        if (opts.group) {
+          // Groups keep every provider's offering, filtered out or not, for the comparison
+          let groups = groupModels(models, catalogue);
+          if (opts.limit != null) groups = groups.slice(0, opts.limit);
+          if (opts.fields) output = formatModels(groups.map(g => g.cheapest), format, opts.fields);
+          else if (format === 'table') output = formatGroupTable(groups);
+          else if (['json', 'ndjson', 'yaml'].includes(format)) output = formatModels(groupRecords(groups), format);
+          else output = formatModels(groups.map(g => g.cheapest), format);
+        } else {
+          if (opts.limit != null) models = models.slice(0, opts.limit);
+          if (hits) models = models.map(m => ({ ...m, search: { score: hits.get(modelKey(m)).score, fields: Object.keys(hits.get(modelKey(m)).matches) } }));
+          output = formatModels(models, format, opts.fields, { highlights: hits && new Map([...hits].map(([key, h]) => [key, h.matches])) });
+        }
+        if (output) console.log(output);
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  const snapshotCmd = program
+    .command('snapshot')
+    .description('Save catalogue snapshots for later diffing');
+
+  snapshotCmd
+    .command('save <file>')
+    .description('Write the current catalogue to a snapshot file')
+    .action(async (file, _opts, cmd) => {
+      try {
+        const models = await saveSnapshot(file, cacheOptsFrom(cmd.optsWithGlobals()));
+        console.log(`Saved ${models.length} models to ${file}`);
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('diff <a> <b>')
+    .description(`Compare two catalogues; each side is a snapshot file or "${LIVE_SOURCE}"`)
+    .option('--json', 'Output the diff as JSON')
+    .option('--markdown', 'Output the diff as Markdown (release notes)')
+    .action(async (a, b, _opts, cmd) => {
+      // optsWithGlobals: --json is also a root option, so commander may attach it there
+      const opts = cmd.optsWithGlobals();
+      try {
+        const cacheOpts = cacheOptsFrom(opts);
+        const before = await loadSnapshot(a, cacheOpts);
+        const after = await loadSnapshot(b, cacheOpts);
+        const diff = diffCatalogues(before.models, after.models);
+        const labels = { from: before.label, to: after.label };
+        if (opts.json) {
+          console.log(JSON.stringify({ ...labels, ...diff }, null, 2));
+          return;
+        }
+        if (opts.markdown) {
+          console.log(formatDiffMarkdown(diff, labels));
+          return;
+        }
+        console.log(formatDiffTable(diff, labels));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('history [model]')
+    .description('Show recorded price and limit changes: one model\'s timeline (providerId/modelId), or everything that moved')
+    .option('--since <duration>', 'Only changes newer than this, e.g. 30d, 12h', durationArg)
+    .option('--json', 'Output the events as JSON')
+    .action(async (ref, _opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        let key;
+        if (ref) {
+          // A model gone from the catalogue still has its history under providerId/modelId
+          try {
+            key = modelKey(resolveModelRef(await fetchCatalogue(cacheOptsFrom(opts)), ref));
+          } catch (err) {
+            if (!ref.includes('/')) throw err;
+            key = ref;
+          }
+        }
+        const events = await readHistory({ key, since: opts.since != null ? Date.now() - opts.since : null });
+        if (opts.json) {
+          console.log(JSON.stringify(events, null, 2));
+          return;
+        }
+        if (!events.length) {
+          console.error(`No recorded changes${key ? ` for ${key}` : ''}${opts.since != null ? ' in that period' : ''}. ` +
+            `Changes are recorded in ${HISTORY_FILE} each time a download replaces the cached catalogue.`);
+          return;
+        }
+        console.log(formatHistoryTable(events, { showModel: !key }));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('cost')
+    .description('Price a token workload across every model matching the filters, cheapest first')
+    .option('--input <tokens>', 'Input tokens per request, e.g. 2M', tokenArg, 0)
+    .option('--output <tokens>', 'Output tokens per request, e.g. 300k', tokenArg, 0)
+    .option('--cache-read <tokens>', 'Cached input tokens read per request', tokenArg, 0)
+    .option('--cache-write <tokens>', 'Input tokens written to cache per request', tokenArg, 0)
+    .option('--requests-per-day <n>', 'Requests per day, adds a monthly projection', Number)
+    .option('--days <n>', 'Days per month for the projection', intArg, 30)
+    .action(async (_opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const workload = { input: opts.input, output: opts.output, cacheRead: opts.cacheRead, cacheWrite: opts.cacheWrite };
+        if (!Object.values(workload).some(Boolean)) throw new Error('Specify a workload, e.g. --input 2M --output 300k');
+        if (opts.requestsPerDay != null && !(opts.requestsPerDay > 0)) throw new Error('--requests-per-day must be a positive number');
+        if (!(opts.days > 0)) throw new Error('--days must be a positive integer');
+        const monthlyFactor = opts.requestsPerDay ? opts.requestsPerDay * opts.days : null;
+        const { criteria } = presetCriteriaFrom(await loadConfig(), opts);
+        let models = await fetchCatalogue(cacheOptsFrom(opts));
+        models = applyFilters(models, criteria);
+        let ranked = rankByWorkload(models, workload);
+        if (opts.limit != null) ranked = ranked.slice(0, opts.limit);
+        if (opts.json) {
+          console.log(JSON.stringify(costRecords(ranked, { monthlyFactor }), null, 2));
+          return;
+        }
+        console.log(formatCostTable(ranked, { monthlyFactor }));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('recommend')
+    .description('Rank the models matching the filters into a shortlist on weighted cost, context, output limit and recency, with a reason for each pick')
+    .option('--weights <spec>', `Criterion weights (${RECOMMEND_CRITERIA.join(', ')}); unlisted ones count 0`, weightsArg,
+      Object.entries(DEFAULT_WEIGHTS).filter(([, w]) => w).map(([c, w]) => `${c}=${w}`).join(','))
+    .option('--pareto', 'Drop models another model beats on price, context and output limit together')
+    .action(async (_opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const { criteria } = presetCriteriaFrom(await loadConfig(), opts);
+        const models = applyFilters(await fetchCatalogue(cacheOptsFrom(opts)), criteria);
+        const weights = typeof opts.weights === 'string' ? parseWeights(opts.weights) : opts.weights;
+        const ranked = recommendModels(models, { weights, pareto: !!opts.pareto });
+        const shortlist = ranked.slice(0, opts.limit ?? 10);
+        if (opts.json) {
+          console.log(JSON.stringify(recommendRecords(shortlist), null, 2));
+          return;
+        }
+        if (!shortlist.length) {
+          console.error(chalk.yellow('No models match the filters.'));
+          return;
+        }
+        console.log(formatRecommendTable(shortlist, { considered: models.length, frontier: opts.pareto ? ranked.length : null }));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('chart')
+    .description('Plot the models matching the filters in the terminal: --y against --x, or bars of --y')
+    .option('--x <field>', 'Horizontal axis field, e.g. ctx, output-limit, release-date', chartFieldArg, 'contextLimit')
+    .option('--y <field>', 'Vertical axis field (the bar length with --bar)', chartFieldArg, 'inputCost')
+    .option('--log', 'Log scale for numeric axes (drops values <= 0)')
+    .option('--bar', 'Bar chart of --y per model, largest first (top 20 unless --limit)')
+    .option('--height <rows>', 'Scatter plot height in rows', intArg, 20)
+    .action(async (_opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const { criteria } = presetCriteriaFrom(await loadConfig(), opts);
+        let models = applyFilters(await fetchCatalogue(cacheOptsFrom(opts)), criteria);
+        const width = process.stdout.isTTY ? process.stdout.columns : 80;
+        if (opts.bar) {
+          models = models.filter(m => m[opts.y] != null).sort(compareByField(opts.y, -1)).slice(0, opts.limit ?? 20);
+          console.log(renderBars(models, { field: opts.y, log: !!opts.log, width }));
+          return;
+        }
+        if (opts.limit != null) models = models.slice(0, opts.limit);
+        console.log(renderScatter(models, { x: opts.x, y: opts.y, log: !!opts.log, width, height: opts.height }));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('compare <models...>')
+    .description('Compare models side by side (providerId/modelId), best value per row highlighted')
+    .action(async (refs, _opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const catalogue = await fetchCatalogue(cacheOptsFrom(opts));
+        const models = refs.map(ref => resolveModelRef(catalogue, ref));
+        if (opts.json) {
+          console.log(JSON.stringify(models, null, 2));
+          return;
+        }
+        console.log(formatCompare(models));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  // get's exit codes beyond 1 (any other failure), so scripts can tell a typo from a gap
+  const getExitCodes = { unknown: 2, ambiguous: 3, field: 4 };
+
+  program
+    .command('get <model>')
+    .description('Look up one model by providerId/modelId: its details, the record with --json, or one value with --field')
+    .option('--field <path>', 'Print one field by name or alias, with dotted keys into lists and objects, e.g. contextLimit, ctx, modalitiesInput.0')
+    .option('--json', 'Output the record (or the --field value) as JSON')
+    .action(async (ref, _opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const model = resolveModelRef(await fetchCatalogue(cacheOptsFrom(opts)), ref);
+        if (opts.field) {
+          const value = modelField(model, opts.field);
+          if (value === undefined) {
+            console.error(chalk.red(`No field "${opts.field}" on ${modelKey(model)} (fields: ${Object.keys(model).join(', ')})`));
+            process.exit(getExitCodes.field);
+          }
+          // Plain strings print bare, like jq -r; everything else as JSON
+          console.log(opts.json ? JSON.stringify(value, null, 2) : typeof value === 'string' ? value : JSON.stringify(value));
+          return;
+        }
+        if (opts.json) {
+          console.log(JSON.stringify(model, null, 2));
+          return;
+        }
+        const priceChange = lastPriceChanges(await readHistory().catch(() => [])).get(modelKey(model));
+        console.log(formatModelDetail(model, { priceChange }));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(err instanceof ModelRefError ? getExitCodes[err.reason] : 1);
+      }
+    });
+
+  program
+    .command('snippet <model>')
+    .description('Print integration boilerplate for a model (providerId/modelId): AI SDK code, LiteLLM or OpenCode config, curl, env vars')
+    .option('--target <target>', `What to generate: ${SNIPPET_TARGETS.join(' | ')}`, targetArg, 'ai-sdk')
+    .action(async (ref, _opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const model = resolveModelRef(await fetchCatalogue(cacheOptsFrom(opts)), ref);
+        process.stdout.write(buildSnippet(model, opts.target));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('providers')
+    .description('Summarize providers: model counts, capability coverage, price ranges and API key env vars (accepts the filters)')
+    .option('--json', 'Output the summaries as JSON (adds npm package, API base URL and docs link)')
+    .action(async (_opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const { criteria } = presetCriteriaFrom(await loadConfig(), opts);
+        const summaries = summarizeProviders(applyFilters(await fetchCatalogue(cacheOptsFrom(opts)), criteria));
+        if (opts.json) {
+          console.log(JSON.stringify(summaries, null, 2));
+          return;
+        }
+        console.log(formatProvidersTable(summaries));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('stats')
+    .description('Aggregate the models matching the filters: counts, tool/reasoning/open-weights shares, min/median/max prices and context')
+    .option('--by <group>', `Break down by ${STATS_GROUPS.join(' | ')}`, groupArg)
+    .option('--json', 'Output the stats as JSON')
+    .option('--markdown', 'Output the stats as a Markdown table (reports)')
+    .action(async (_opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const { criteria } = presetCriteriaFrom(await loadConfig(), opts);
+        const stats = catalogueStats(applyFilters(await fetchCatalogue(cacheOptsFrom(opts)), criteria), opts.by);
+        if (opts.json) {
+          console.log(JSON.stringify(stats, null, 2));
+          return;
+        }
+        console.log(opts.markdown ? formatStatsMarkdown(stats) : formatStatsTable(stats));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('favorites')
+    .description('List favorite models (starred with f in the TUI), warning about any no longer in the catalogue')
+    .option('--json', 'Output raw JSON for the favorite models')
+    .action(async (_opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        const { favorites } = await loadConfig();
+        if (!favorites.length) {
+          console.error(`No favorites yet: star models with f in the TUI (stored in ${CONFIG_FILE})`);
+          return;
+        }
+        const { models, missing } = resolveFavorites(await fetchCatalogue(cacheOptsFrom(opts)), favorites);
+        for (const key of missing) console.error(chalk.yellow(`Favorite ${key} is no longer in the catalogue`));
+        const format = opts.format ?? (opts.json ? 'json' : opts.compact ? 'compact' : 'table');
+        const output = formatModels(applySort(models, opts.sort), format, opts.fields);
+        if (output) console.log(output);
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('serve')
+    .description('Serve the catalogue as a local JSON REST API (/models, /models/:provider/:id, /providers, /cost)')
+    .option('--port <n>', 'Port to listen on', intArg, 8787)
+    .option('--host <host>', 'Interface to bind', '127.0.0.1')
+    .option('--refresh-interval <duration>', 'Reload the catalogue in the background once it is this old (default: the cache TTL)')
+    .action(async (_opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      try {
+        if (opts.refreshInterval) parseDuration(opts.refreshInterval);
+        const server = await createCatalogueServer({ ...cacheOptsFrom(opts), refreshInterval: opts.refreshInterval });
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(opts.port, opts.host, resolve);
+        });
+        const { port } = server.address();
+        console.log(`Serving models.dev catalogue on http://${opts.host}:${port}`);
+      } catch (err) {
+        console.error(chalk.red(err.code === 'EADDRINUSE' ? `Port ${opts.port} is already in use` : err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('mcp')
+    .description('Run a Model Context Protocol server over stdio (search_models, get_model, compare_models, list_providers)')
+    .action(async (_opts, cmd) => {
+      // stdout carries the protocol: errors go to stderr only
+      try {
+        await runMcpServer(cacheOptsFrom(cmd.optsWithGlobals()));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('validate <files...>')
+    .description('Check model references in config files against the catalogue, for CI; the filters set required capabilities')
+    .option('--path <jsonpath>', 'JSON path to model references, repeatable, e.g. agents.*.model; every file must be .json', collectArg)
+    .option('--pattern <regex>', 'Regex for model references in any file, repeatable; the first group (or the match) is the reference', collectArg)
+    .option('--strict', 'Fail on warnings (models lacking a required capability) too')
+    .option('--json', 'Output the report as JSON')
+    .action(async (files, _opts, cmd) => {
+      const opts = cmd.optsWithGlobals();
+      // Exit codes: 0 valid, 1 problems found, 2 could not validate (unreadable file, bad
+      // pattern, no catalogue), so CI can tell a typo from a network outage
+      try {
+        const { criteria } = presetCriteriaFrom(await loadConfig(), opts);
+        const report = await validateFiles(await fetchCatalogue(cacheOptsFrom(opts)), files, {
+          paths: opts.path,
+          patterns: opts.pattern,
+          criteria,
+          history: await readHistory().catch(() => [])
+        });
+        console.log(opts.json ? JSON.stringify(report, null, 2) : formatValidateReport(report));
+        if (report.errors || (opts.strict && report.warnings)) process.exitCode = 1;
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(2);
+      }
+    });
+
+  program
+    .command('completion <shell>')
+    .description(`Print a shell completion script for models-dev and mdl: ${COMPLETION_SHELLS.join(' | ')}`)
+    .action((shell) => {
+      // `completion zsh | head` closing the pipe early is not an error
+      process.stdout.on('error', (err) => {
+        if (err.code !== 'EPIPE') console.error(chalk.red(err.message));
+        process.exit(err.code === 'EPIPE' ? 0 : 1);
+      });
+      try {
+        process.stdout.write(completionScript(program, shell));
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+    });
+
+  // Called by the completion scripts at tab time: cached catalogue only, and silence rather
+  // than an error (no cache yet) so a tab press never prints noise or waits on the network
+  program
+    .command('__complete <kind> [prefix]', { hidden: true })
+    .action(async (kind, prefix, _opts, cmd) => {
+      try {
+        const models = await fetchCatalogue({ ...cacheOptsFrom(cmd.optsWithGlobals()), offline: true });
+        const candidates = completionCandidates(models, kind, prefix ?? '');
+        if (candidates.length) console.log(candidates.join('\n'));
+      } catch {
+        // nothing to offer
+      }
+    });
+
+  return program;
+};
+
+const run = (argv = process.argv) => createProgram().parseAsync(argv);
+
+export { createProgram, run };
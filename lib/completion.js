@@ -0,0 +1,295 @@
+// Shell completion (`completion bash|zsh|fish`). The scripts are generated from the commander
+// program, so new commands and options complete without touching this file. Provider and model
+// ids are looked up at tab time through the hidden `__complete` command, which reads the cached
+// catalogue only and never waits on the network.
+import { listProviders, modelKey } from './catalogue.js';
+import { filterFieldDefs } from './filter.js';
+import { OUTPUT_FORMATS } from './format.js';
+import { LIVE_SOURCE } from './diff.js';
+import { STATS_GROUPS } from './stats.js';
+import { SNIPPET_TARGETS } from './snippet.js';
+import { CHART_FIELDS } from './chart.js';
+import { UI_MODES } from './config.js';
+
+const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+const COMPLETION_KINDS = ['providers', 'models'];
+
+// What an option value or argument completes to: { words }, { dynamic: kind } and/or { files }.
+// Value options not listed here take free text and complete to nothing.
+const sortWords = filterFieldDefs.flatMap(f => [f.key, `${f.key}:desc`]);
+const optionValues = {
+  '--provider': { dynamic: 'providers' },
+  '--sort': { words: sortWords },
+  '--ui': { words: UI_MODES },
+  '--format': { words: OUTPUT_FORMATS },
+  '--fields': { words: filterFieldDefs.map(f => f.key) },
+  '--by': { words: STATS_GROUPS },
+  '--target': { words: SNIPPET_TARGETS },
+  '--x': { words: CHART_FIELDS },
+  '--y': { words: CHART_FIELDS },
+  '--source': { files: true },
+  '--overlay': { files: true },
+  '--ca-file': { files: true }
+};
+// By argument name; anything else (snapshot files) completes file names
+const argumentValues = {
+  model: { dynamic: 'models' },
+  models: { dynamic: 'models' },
+  shell: { words: COMPLETION_SHELLS },
+  a: { words: [LIVE_SOURCE], files: true },
+  b: { words: [LIVE_SOURCE], files: true },
+  command: {} // help [command]
+};
+
+// `__complete <kind> <prefix>`: provider ids, or providerId/modelId keys. A prefix without a
+// slash that matches no key is taken as a bare model id, completing to the full keys.
+const completionCandidates = (models, kind, prefix = '') => {
+  if (kind === 'providers') return listProviders(models).map(p => p.id).filter(id => id.startsWith(prefix));
+  if (kind === 'models') {
+    const keys = models.map(modelKey).filter(key => key.startsWith(prefix));
+    if (keys.length || prefix.includes('/')) return keys;
+    return models.filter(m => m.id.startsWith(prefix)).map(modelKey);
+  }
+  throw new Error(`Unknown completion kind: ${kind} (kinds: ${COMPLETION_KINDS.join(', ')})`);
+};
+
+// Every visible command as { path, options, args, commands }; path is the command names joined
+// by spaces ('' for the root). Root options are global, so they complete under every command.
+const commandSpecs = (program) => {
+  const help = program.createHelp();
+  const optionSpec = (o) => ({
+    flags: [o.short, o.long].filter(Boolean),
+    long: o.long,
+    value: !!(o.required || o.optional),
+    description: o.description
+  });
+  const rootOptions = help.visibleOptions(program).map(optionSpec);
+  const walk = (cmd, path) => {
+    const commands = help.visibleCommands(cmd);
+    return [
+      {
+        path,
+        options: path ? [...rootOptions, ...help.visibleOptions(cmd).map(optionSpec).filter(o => o.long !== '--help')] : rootOptions,
+        args: cmd.registeredArguments.map(a => argumentValues[a.name()] ?? { files: true }),
+        commands: commands.map(c => ({ name: c.name(), description: c.description() }))
+      },
+      ...commands.flatMap(c => walk(c, path ? `${path} ${c.name()}` : c.name()))
+    ];
+  };
+  return walk(program, '');
+};
+
+const unique = (xs) => [...new Set(xs)];
+// Flags that take a value, whose next word is skipped when looking for the command path
+const valueFlags = (specs) => unique(specs.flatMap(s => s.options.filter(o => o.value).flatMap(o => o.flags)));
+// Value flags grouped by completer, free-text ones last
+const valueCases = (specs) => {
+  const flags = unique(specs.flatMap(s => s.options.filter(o => o.value).map(o => o.long)));
+  return [
+    ...flags.filter(f => optionValues[f]).map(f => ({ flags: [f], values: optionValues[f] })),
+    { flags: flags.filter(f => !optionValues[f]), values: {} }
+  ].filter(c => c.flags.length);
+};
+// The completer for positional words under a command: its subcommands, else its arguments
+const argumentValue = (spec) => spec.commands.length
+  ? { words: spec.commands.map(c => c.name) }
+  : { words: unique(spec.args.flatMap(a => a.words ?? [])), dynamic: spec.args.find(a => a.dynamic)?.dynamic, files: spec.args.some(a => a.files) };
+
+// Options that pick the catalogue, passed on to `__complete` so custom sources complete their
+// own ids; `~/` in a value is expanded, since the shell has not done it yet
+const FORWARDED_VALUE_OPTIONS = ['--source', '--overlay'];
+const FORWARDED_SWITCHES = ['--no-overlay'];
+
+const shQuote = (s) => `'${String(s).replace(/'/g, `'\\''`)}'`;
+const fishQuote = (s) => `'${String(s).replace(/[\\']/g, '\\$&')}'`;
+
+const bashReply = ({ words = [], dynamic, files }) => {
+  if (dynamic) return `_models_dev_dynamic "$bin" ${dynamic} "$cur" "\${catalogue[@]}"`;
+  const actions = [...(words.length ? [`-W ${shQuote(words.join(' '))}`] : []), ...(files ? ['-f'] : [])];
+  return actions.length ? `COMPREPLY=($(compgen ${actions.join(' ')} -- "$cur"))` : 'COMPREPLY=()';
+};
+
+const bashScript = (specs) => `# models-dev bash completion, for models-dev and mdl. Load it from ~/.bashrc:
+#   eval "$(models-dev completion bash)"
+
+# _models_dev_dynamic bin kind prefix [catalogue options...]
+_models_dev_dynamic() {
+  local IFS=$'\\n'
+  COMPREPLY=($("$1" "\${@:4}" __complete "$2" "$3" 2>/dev/null))
+}
+
+_models_dev() {
+  local cur prev words cword
+  if declare -F _get_comp_words_by_ref >/dev/null; then
+    _get_comp_words_by_ref -n : cur prev words cword
+  else
+    words=("\${COMP_WORDS[@]}") cword=$COMP_CWORD cur=\${COMP_WORDS[COMP_CWORD]} prev=\${COMP_WORDS[COMP_CWORD-1]}
+  fi
+  local bin=\${words[0]} cmdpath= skip= i
+  local -a catalogue=()
+  for ((i = 1; i < cword; i++)); do
+    if [[ -n $skip ]]; then skip=; continue; fi
+    case "$cmdpath:\${words[i]}" in
+      ${FORWARDED_VALUE_OPTIONS.map(f => `*:${f}`).join('|')}) catalogue+=("\${words[i]}" "\${words[i+1]/#\\~\\//$HOME/}"); skip=1 ;;
+      ${FORWARDED_SWITCHES.map(f => `*:${f}`).join('|')}) catalogue+=("\${words[i]}") ;;
+      ${valueFlags(specs).map(f => `*:${f}`).join('|')}) skip=1 ;;
+${specs.flatMap(s => s.commands.map(c => `      ${shQuote(`${s.path}:${c.name}`)}) cmdpath=${shQuote(s.path ? `${s.path} ${c.name}` : c.name)} ;;`)).join('\n')}
+    esac
+  done
+  case $prev in
+${valueCases(specs).map(c => `    ${c.flags.join('|')}) ${bashReply(c.values)}; return ;;`).join('\n')}
+  esac
+  if [[ $cur == -* ]]; then
+    case $cmdpath in
+${specs.map(s => `      ${shQuote(s.path)}) COMPREPLY=($(compgen -W ${shQuote(unique(s.options.flatMap(o => o.flags)).join(' '))} -- "$cur")) ;;`).join('\n')}
+    esac
+  else
+    case $cmdpath in
+${specs.map(s => `      ${shQuote(s.path)}) ${bashReply(argumentValue(s))} ;;`).join('\n')}
+    esac
+  fi
+  if declare -F __ltrim_colon_completions >/dev/null; then __ltrim_colon_completions "$cur"; fi
+}
+
+complete -F _models_dev models-dev mdl
+`;
+
+// `name:description` entries for _describe (colons in the name escaped)
+const zshDescribe = (items) => items.map(i => shQuote(`${i.name.replace(/:/g, '\\:')}:${i.description ?? ''}`)).join(' ');
+
+const zshReply = ({ words = [], dynamic, files }, label) => [
+  ...(dynamic ? [`compadd -U -- \${(f)"$("$bin" "\${catalogue[@]}" __complete ${dynamic} "$cur" 2>/dev/null)"}`] : []),
+  ...(words.length ? [`compadd -- ${words.map(shQuote).join(' ')}`] : []),
+  ...(files ? ['_files'] : []),
+  ...(label && !dynamic && !words.length && !files ? [`_message ${shQuote(label)}`] : [])
+].join('; ') || ':';
+
+const zshScript = (specs) => `#compdef models-dev mdl
+# models-dev zsh completion, for models-dev and mdl. Load it from ~/.zshrc after compinit:
+#   eval "$(models-dev completion zsh)"
+# or save it as _models-dev in a directory on $fpath.
+
+_models_dev() {
+  local bin=\${words[1]} cur=\${words[CURRENT]} prev=\${words[CURRENT-1]} cmdpath= skip= i
+  local -a catalogue
+  for ((i = 2; i < CURRENT; i++)); do
+    if [[ -n $skip ]]; then skip=; continue; fi
+    case "$cmdpath:\${words[i]}" in
+      (${FORWARDED_VALUE_OPTIONS.map(f => `*:${f}`).join('|')}) catalogue+=("\${words[i]}" "\${words[i+1]/#\\~\\//$HOME/}"); skip=1 ;;
+      (${FORWARDED_SWITCHES.map(f => `*:${f}`).join('|')}) catalogue+=("\${words[i]}") ;;
+      (${valueFlags(specs).map(f => `*:${f}`).join('|')}) skip=1 ;;
+${specs.flatMap(s => s.commands.map(c => `      (${shQuote(`${s.path}:${c.name}`)}) cmdpath=${shQuote(s.path ? `${s.path} ${c.name}` : c.name)} ;;`)).join('\n')}
+    esac
+  done
+  case $prev in
+${valueCases(specs).map(c => `    (${c.flags.join('|')}) ${zshReply(c.values, 'value')}; return ;;`).join('\n')}
+  esac
+  local -a entries
+  if [[ $cur == -* ]]; then
+    case $cmdpath in
+${specs.map(s => `      (${shQuote(s.path)}) entries=(${zshDescribe(s.options.flatMap(o => o.flags.map(name => ({ name, description: o.description }))))}) ;;`).join('\n')}
+    esac
+    _describe -t options option entries
+    return
+  fi
+  case $cmdpath in
+${specs.map(s => s.commands.length
+    ? `    (${shQuote(s.path)}) entries=(${zshDescribe(s.commands)}); _describe -t commands command entries ;;`
+    : `    (${shQuote(s.path)}) ${zshReply(argumentValue(s))} ;;`).join('\n')}
+  esac
+}
+
+if [[ $zsh_eval_context[-1] == loadautofunc ]]; then
+  _models_dev "$@"
+else
+  compdef _models_dev models-dev mdl
+fi
+`;
+
+const fishReply = ({ words = [], dynamic, files }) => [
+  ...(files ? ['-F'] : ['-x']),
+  ...(dynamic ? [`-a '(__models_dev_dynamic ${dynamic})'`] : []),
+  ...(words.length ? [`-a ${fishQuote(words.join(' '))}`] : [])
+].join(' ');
+
+const fishScript = (specs) => `# models-dev fish completion, for models-dev and mdl. Load it from config.fish:
+#   models-dev completion fish | source
+# or save it as ~/.config/fish/completions/models-dev.fish.
+
+# The command path so far ('', 'diff', 'snapshot save', ...), skipping option values
+function __models_dev_path
+    set -l words (commandline -opc)
+    set -e words[1]
+    set -l cmdpath ''
+    set -l skip 0
+    for word in $words
+        if test $skip = 1
+            set skip 0
+            continue
+        end
+        switch "$cmdpath:$word"
+            case ${valueFlags(specs).map(f => fishQuote(`*:${f}`)).join(' ')}
+                set skip 1
+${specs.flatMap(s => s.commands.map(c => `            case ${fishQuote(`${s.path}:${c.name}`)}\n                set cmdpath ${fishQuote(s.path ? `${s.path} ${c.name}` : c.name)}`)).join('\n')}
+        end
+    end
+    echo $cmdpath
+end
+
+# __models_dev_at snapshot save: true at that command path (no arguments: the root)
+function __models_dev_at
+    set -l cmdpath (__models_dev_path)
+    test "$cmdpath" = "$argv"
+end
+
+# The options on the line that pick the catalogue, one word per line
+function __models_dev_catalogue
+    set -l words (commandline -opc)
+    set -e words[1]
+    set -l option ''
+    for word in $words
+        if test -n "$option"
+            printf '%s\\n' $option (string replace -r '^~/' "$HOME/" -- $word)
+            set option ''
+            continue
+        end
+        switch $word
+            case ${FORWARDED_VALUE_OPTIONS.join(' ')}
+                set option $word
+            case ${FORWARDED_SWITCHES.join(' ')}
+                printf '%s\\n' $word
+        end
+    end
+end
+
+function __models_dev_dynamic
+    set -l bin (commandline -opc)[1]
+    $bin (__models_dev_catalogue) __complete $argv[1] (commandline -ct) 2>/dev/null
+end
+
+complete -c models-dev -f
+${specs.flatMap(s => {
+    const at = ` -n ${fishQuote(`__models_dev_at ${s.path}`.trim())}`;
+    // Root options are global: they complete everywhere, without a condition
+    const options = s.path ? s.options.filter(o => !specs[0].options.includes(o)) : s.options;
+    return [
+      ...options.map(o => {
+        const names = o.flags.map(f => f.startsWith('--') ? `-l ${f.slice(2)}` : `-s ${f.slice(1)}`).join(' ');
+        return `complete -c models-dev${s.path ? at : ''} ${names}${o.value ? ` ${fishReply(optionValues[o.long] ?? {})}` : ''} -d ${fishQuote(o.description)}`;
+      }),
+      ...s.commands.map(c => `complete -c models-dev${at} -a ${fishQuote(c.name)} -d ${fishQuote(c.description)}`),
+      ...(!s.commands.length && s.args.length ? [`complete -c models-dev${at} ${fishReply(argumentValue(s))}`] : [])
+    ];
+  }).join('\n')}
+complete -c mdl -w models-dev
+`;
+
+const scripts = { bash: bashScript, zsh: zshScript, fish: fishScript };
+
+// The completion script for `shell`, covering every command and option of `program`
+const completionScript = (program, shell) => {
+  if (!scripts[shell]) throw new Error(`Unknown shell: ${shell} (shells: ${COMPLETION_SHELLS.join(', ')})`);
+  return scripts[shell](commandSpecs(program));
+};
+
+export { COMPLETION_SHELLS, COMPLETION_KINDS, completionCandidates, completionScript };
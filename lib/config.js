@@ -0,0 +1,157 @@
+// User config: defaults and named filter presets, in CONFIG_DIR/config.json
+//
+//   {
+//     "ui": "blessed",
+//     "sort": "inputCost",
+//     "pageSize": 40,
+//     "presets": {
+//       "cheap-agents": { "tool": true, "minContext": "128k", "maxInputCost": 5, "where": "provider in (anthropic, openai)" }
+//     },
+//     "favorites": ["anthropic/claude-sonnet-4-20250514", "openai/gpt-4.1"]
+//   }
+//
+// A preset is a set of filterModels criteria plus `search` and `sort` (a --sort spec).
+// Favorites are modelKey()s, starred from the TUIs.
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { CONFIG_DIR, modelKey } from './catalogue.js';
+import { compileFilter, parseFilterNumber } from './filter.js';
+import { parseSort } from './sort.js';
+
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const UI_MODES = ['auto', 'blessed', 'table'];
+
+// Value checks shared by the defaults and the presets: return the normalized value or throw
+const fail = (where, message) => { throw new Error(`${CONFIG_FILE}: ${where} ${message}`); };
+const checks = {
+  string: (v, where) => typeof v === 'string' ? v : fail(where, 'must be a string'),
+  boolean: (v, where) => typeof v === 'boolean' ? v : fail(where, 'must be true or false'),
+  number: (v, where) => {
+    const n = typeof v === 'number' ? v : typeof v === 'string' ? parseFilterNumber(v.trim()) : null;
+    return Number.isFinite(n) ? n : fail(where, 'must be a number (k/M suffixes allowed)');
+  },
+  list: (v, where) => Array.isArray(v) && v.every(x => typeof x === 'string') ? v : fail(where, 'must be an array of strings'),
+  date: (v, where) => typeof v === 'string' && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(v) ? v : fail(where, 'must be YYYY, YYYY-MM or YYYY-MM-DD'),
+  where: (v, where) => {
+    checks.string(v, where);
+    try { compileFilter(v); } catch (e) { fail(where, `is not a valid filter: ${e.reason ?? e.message}`); }
+    return v;
+  },
+  sort: (v, where) => {
+    checks.string(v, where);
+    try { parseSort(v); } catch (e) { fail(where, e.message); }
+    return v;
+  }
+};
+
+const presetFields = {
+  search: 'string',
+  provider: 'string',
+  tool: 'boolean',
+  reasoning: 'boolean',
+  openWeights: 'boolean',
+  temperature: 'boolean',
+  minContext: 'number',
+  maxInputCost: 'number',
+  maxOutputCost: 'number',
+  modalitiesInput: 'list',
+  modalitiesOutput: 'list',
+  releasedAfter: 'date',
+  knowledgeAfter: 'date',
+  where: 'where',
+  sort: 'sort'
+};
+
+// null, '' and [] mean "any", so they are left out of saved presets
+const isUnset = (v) => v == null || v === '' || (Array.isArray(v) && !v.length);
+
+const checkPreset = (name, preset) => {
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) fail(`preset "${name}"`, 'must be an object');
+  const out = {};
+  for (const [key, value] of Object.entries(preset)) {
+    const type = presetFields[key];
+    if (!type) fail(`preset "${name}"`, `has unknown key "${key}" (keys: ${Object.keys(presetFields).join(', ')})`);
+    if (!isUnset(value)) out[key] = checks[type](value, `preset "${name}": ${key}`);
+  }
+  return out;
+};
+
+const readConfigFile = async () => {
+  let text;
+  try {
+    text = await readFile(CONFIG_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw new Error(`Cannot read ${CONFIG_FILE}: ${e.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${CONFIG_FILE}: ${e.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error(`${CONFIG_FILE} must contain a JSON object`);
+  return config;
+};
+
+const writeConfigFile = async (config) => {
+  await mkdir(CONFIG_DIR, { recursive: true });
+  const tmp = `${CONFIG_FILE}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(config, null, 2) + '\n');
+  await rename(tmp, CONFIG_FILE);
+};
+
+// The config with its defaults checked; presets are checked when used, so one bad preset
+// does not break every run. A missing file is an empty config.
+const loadConfig = async () => {
+  const config = await readConfigFile();
+  if (config.ui != null && !UI_MODES.includes(config.ui)) fail('ui', `must be one of ${UI_MODES.join(', ')}`);
+  if (config.sort != null) checks.sort(config.sort, 'sort');
+  if (config.pageSize != null && !(Number.isInteger(config.pageSize) && config.pageSize > 0)) fail('pageSize', 'must be a positive integer');
+  if (config.presets != null && (typeof config.presets !== 'object' || Array.isArray(config.presets))) fail('presets', 'must be an object of name => preset');
+  if (config.favorites != null) checks.list(config.favorites, 'favorites');
+  return { ...config, presets: config.presets ?? {}, favorites: config.favorites ?? [] };
+};
+
+const getPreset = (config, name) => {
+  const preset = config.presets?.[name];
+  if (!preset) {
+    const names = Object.keys(config.presets ?? {});
+    throw new Error(`Unknown preset "${name}" (${names.length ? `presets: ${names.join(', ')}` : `none defined in ${CONFIG_FILE}`})`);
+  }
+  return checkPreset(name, preset);
+};
+
+// Add or replace one preset, keeping everything else in the file as written
+const savePreset = async (name, preset) => {
+  name = name?.trim();
+  if (!name) throw new Error('Preset name must not be empty');
+  const checked = checkPreset(name, preset);
+  const config = await readConfigFile();
+  config.presets = { ...config.presets, [name]: checked };
+  await writeConfigFile(config);
+  return checked;
+};
+
+// Star or unstar one model; resolves to true when it is now a favorite. The file is re-read
+// first so two open sessions do not undo each other's stars.
+const toggleFavorite = async (key) => {
+  const config = await readConfigFile();
+  const favorites = Array.isArray(config.favorites) ? config.favorites : [];
+  const starred = !favorites.includes(key);
+  config.favorites = starred ? [...favorites, key] : favorites.filter(k => k !== key);
+  await writeConfigFile(config);
+  return starred;
+};
+
+// Favorites in starred order, plus the keys no longer in the catalogue (renamed or removed
+// models, hidden by an overlay, or missing from a --source)
+const resolveFavorites = (models, favorites = []) => {
+  const byKey = new Map(models.map(m => [modelKey(m), m]));
+  return {
+    models: favorites.filter(k => byKey.has(k)).map(k => byKey.get(k)),
+    missing: favorites.filter(k => !byKey.has(k))
+  };
+};
+
+export { CONFIG_FILE, UI_MODES, loadConfig, getPreset, savePreset, toggleFavorite, resolveFavorites };
@@ -0,0 +1,80 @@
+// Workload pricing (`cost` command, the /cost endpoint)
+// Token amounts accept k/M/B suffixes ("300k", "1.5M"); catalogue prices are USD per 1M tokens.
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+const parseTokenCount = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmb])?$/i.exec(String(value).trim().replace(/_/g, ''));
+  if (!match) throw new Error(`Invalid token count: ${value} (expected e.g. 2M, 300k, 1500)`);
+  const mult = { k: 1e3, m: 1e6, b: 1e9 }[(match[2] || '').toLowerCase()] ?? 1;
+  return Math.round(Number(match[1]) * mult);
+};
+
+const workloadParts = [
+  ['input', 'inputCost'],
+  ['output', 'outputCost'],
+  ['cacheRead', 'cacheReadCost'],
+  ['cacheWrite', 'cacheWriteCost']
+];
+
+// Price one request of the workload. A part with tokens but no price makes the total unknown
+// (null) rather than free, and is reported in `missing`.
+const priceWorkload = (m, workload) => {
+  const breakdown = {};
+  const missing = [];
+  for (const [part, field] of workloadParts) {
+    const tokens = workload[part] ?? 0;
+    if (!tokens) { breakdown[part] = 0; continue; }
+    if (m[field] == null) { breakdown[part] = null; missing.push(part); continue; }
+    breakdown[part] = (tokens / 1e6) * m[field];
+  }
+  const total = missing.length ? null : Object.values(breakdown).reduce((a, b) => a + b, 0);
+  return { breakdown, total, missing };
+};
+
+const rankByWorkload = (models, workload) => models
+  .map(m => ({ model: m, ...priceWorkload(m, workload) }))
+  .sort((a, b) => (a.total ?? Infinity) - (b.total ?? Infinity));
+
+// JSON shape shared by `cost --json` and the /cost endpoint
+const costRecords = (ranked, { monthlyFactor } = {}) => ranked.map(r => ({
+  ...r.model,
+  cost: {
+    ...r.breakdown,
+    total: r.total,
+    monthly: monthlyFactor && r.total != null ? r.total * monthlyFactor : null
+  },
+  missingPricing: r.missing
+}));
+
+// Cents always, and up to four decimals for sub-dollar amounts without padding zeros, so a
+// column reads $0.75, $0.0012, $4.00 rather than $0.7500 next to $4.00. A cost too small
+// for four decimals still shows as non-zero.
+const fmtUsd = (v) => {
+  if (v == null) return '-';
+  if (v === 0) return '$0';
+  if (v < 0.00005) return '<$0.0001';
+  return `$${v.toFixed(v < 1 ? 4 : 2).replace(/(\.\d\d\d*?)0+$/, '$1')}`;
+};
+
+const formatCostTable = (ranked, { monthlyFactor } = {}) => {
+  const head = ['#', 'Provider', 'Model ID', 'Input', 'Output', 'Cache R', 'Cache W', 'Total'];
+  if (monthlyFactor) head.push('Per month');
+  const table = new Table({ head });
+  ranked.forEach((r, i) => {
+    const row = [
+      r.total == null ? chalk.gray('-') : String(i + 1),
+      r.model.provider,
+      r.model.id,
+      ...workloadParts.map(([part]) => r.breakdown[part] == null ? chalk.yellow('no price') : fmtUsd(r.breakdown[part])),
+      r.total == null ? chalk.yellow('unpriced') : chalk.green(fmtUsd(r.total))
+    ];
+    if (monthlyFactor) row.push(r.total == null ? '-' : fmtUsd(r.total * monthlyFactor));
+    table.push(row);
+  });
+  const unpriced = ranked.filter(r => r.total == null).length;
+  if (!unpriced) return table.toString();
+  return `${table.toString()}\n${chalk.yellow(`${unpriced} model(s) lack pricing for part of this workload and are listed last.`)}`;
+};
+
+export { parseTokenCount, workloadParts, priceWorkload, rankByWorkload, costRecords, fmtUsd, formatCostTable };
@@ -0,0 +1,125 @@
+// One model's details: the blessed Details pane and `get`. Drawn through `paint(text, style)`
+// like the charts, so the same layout serves blessed tags and ANSI terminals.
+import { ansiPaint } from './format.js';
+import { resolveField } from './filter.js';
+
+const costLabels = { inputCost: 'In', outputCost: 'Out', cacheReadCost: 'CacheR', cacheWriteCost: 'CacheW' };
+
+// `priceChange` is the model's entry in lastPriceChanges(); `group` its groupModels() group,
+// listed when it has several offerings
+const formatModelDetail = (m, { paint = ansiPaint, priceChange = null, group = null, now = Date.now() } = {}) => {
+  const text = (t) => paint(String(t));
+  const label = (t) => paint(`${t}:`, { color: 'white', bold: true });
+  const yesNo = (v) => v ? paint('Y', { color: 'green' }) : paint('N', { color: 'gray' });
+  const weights = (v) => v ? paint('OPEN', { color: 'green' }) : paint('CLOSED', { color: 'gray' });
+  const money = (v) => v == null ? text('-') : paint(`$${v}`, { color: 'yellow' });
+  const num = (v) => v == null ? text('-') : paint(String(v), { color: 'cyan' });
+  const list = (arr) => arr?.length ? paint(arr.join(', '), { color: 'blue' }) : text('-');
+  const white = (v) => paint(String(v ?? '-'), { color: 'white' });
+  const usd = (v) => v == null ? '-' : `$${v}`;
+
+  const header = (
+    paint(m.provider, { color: 'cyan', bold: true }) + text(' ') + paint('›', { color: 'white' }) + text(' ') +
+    paint(m.name, { bold: true }) + '\n' +
+    paint(m.id, { color: 'blue' })
+  );
+
+  const capabilities = (
+    `${label('Capabilities')}  ` +
+    `Tool ${yesNo(m.tool)}   ` +
+    `Reason ${yesNo(m.reasoning)}   ` +
+    `Temp ${yesNo(m.temperature)}   ` +
+    `Weights ${weights(m.openWeights)}`
+  );
+
+  const modalities = (
+    `${label('Input')}  ${list(m.modalitiesInput)}\n` +
+    `${label('Output')} ${list(m.modalitiesOutput)}`
+  );
+
+  const costs = (
+    `${label('Costs (per 1M)')}  ` +
+    `In ${money(m.inputCost)}   ` +
+    `Out ${money(m.outputCost)}   ` +
+    `CacheR ${money(m.cacheReadCost)}   ` +
+    `CacheW ${money(m.cacheWriteCost)}`
+  );
+
+  // Latest recorded price change, from the history log
+  const days = priceChange ? Math.floor((now - priceChange.at) / 86400e3) : null;
+  const priceHint = priceChange ? (
+    paint(`Price changed ${days === 0 ? 'today' : days === 1 ? '1 day ago' : `${days} days ago`}`, { color: 'yellow' }) + '  ' +
+    priceChange.changes.map(c => paint(`${costLabels[c.field]} ${usd(c.from)} → ${usd(c.to)}`, { color: 'gray' })).join('   ')
+  ) : null;
+
+  const limits = (
+    `${label('Limits')}  ` +
+    `Ctx ${num(m.contextLimit)}   ` +
+    `Out ${num(m.outputLimit)}`
+  );
+
+  // Every provider's offering of the model, the cheapest matching one highlighted
+  const offerings = group && group.offerings.length > 1 ? (() => {
+    const cells = group.offerings.map(o => [o.model.provider, `In ${usd(o.model.inputCost)}`, `Out ${usd(o.model.outputCost)}`,
+      `Ctx ${o.model.contextLimit ?? '-'}`, `Out lim ${o.model.outputLimit ?? '-'}`]);
+    const widths = cells[0].map((_, i) => Math.max(...cells.map(c => c[i].length)));
+    return `${label('Offerings')} ${paint(group.canonicalId, { color: 'gray' })}\n` + group.offerings.map((o, r) => {
+      const row = cells[r].map((c, i) => c.padEnd(widths[i])).join('  ');
+      if (o.model === group.cheapest) return `  ${paint(`${row}  ← cheapest`, { color: 'green', bold: true })}`;
+      return o.matches ? `  ${text(row)}` : `  ${paint(`${row}  (filtered)`, { color: 'gray' })}`;
+    }).join('\n');
+  })() : null;
+
+  const providerInfo = (
+    `${label('Provider')} ${paint(m.provider, { color: 'cyan' })}` +
+    (m.providerNpm ? `   npm ${white(m.providerNpm)}` : '') + '\n' +
+    `${label('Env')} ${m.providerEnv?.length ? paint(m.providerEnv.join(' '), { color: 'green' }) : text('-')}` +
+    (m.providerApi ? `   API ${white(m.providerApi)}` : '') + '\n' +
+    `${label('Docs')} ${m.providerDoc ? paint(m.providerDoc, { underline: true }) : text('-')}`
+  );
+
+  const meta = (
+    `${label('Knowledge')} ${m.knowledge ? paint(m.knowledge, { color: 'magenta' }) : text('-')}\n` +
+    `${label('Release')} ${white(m.releaseDate)}   ` +
+    `${label('Updated')} ${white(m.lastUpdated)}`
+  );
+
+  // Where the record came from, and which values a later source or the overlay replaced
+  const overrides = Object.entries(m.overrides ?? {});
+  const provenance = m.source ? (
+    `${label('Source')} ${paint(m.source, { color: 'gray' })}` +
+    (overrides.length
+      ? '\n' + overrides.map(([field, from]) => `  ${paint(field, { color: 'magenta' })} ${paint(`← ${from}`, { color: 'gray' })}`).join('\n')
+      : '')
+  ) : null;
+
+  return [
+    header,
+    '─'.repeat(60),
+    capabilities,
+    '',
+    modalities,
+    '',
+    costs,
+    ...(priceHint ? [priceHint] : []),
+    limits,
+    ...(offerings ? ['', offerings] : []),
+    '',
+    meta,
+    '',
+    providerInfo,
+    ...(provenance ? ['', provenance] : [])
+  ].join('\n');
+};
+
+// `get --field`: a field by name or alias ('contextLimit', 'ctx', 'input-cost'), then dotted
+// keys or indexes into lists and objects ('modalitiesInput.0', 'overrides.inputCost').
+// undefined when the record has no such field; null is a field without a value.
+const modelField = (m, fieldPath) => {
+  const [first, ...rest] = String(fieldPath).split('.');
+  const key = Object.hasOwn(m, first) ? first : resolveField(first);
+  if (!key || !Object.hasOwn(m, key)) return undefined;
+  return rest.reduce((v, k) => v != null && typeof v === 'object' && Object.hasOwn(v, k) ? v[k] : undefined, m[key]);
+};
+
+export { formatModelDetail, modelField };
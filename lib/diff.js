@@ -0,0 +1,116 @@
+// Snapshots & diffing (`snapshot` and `diff` commands)
+// A snapshot uses the same { fetchedAt, data } envelope as the cache file, so the cache
+// itself, a saved snapshot or a plain api.json download can all be diffed.
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { readFile, writeFile } from 'fs/promises';
+import { fetchCatalogue, loadRawCatalogue, modelKey, normalizeCatalogue } from './catalogue.js';
+
+const LIVE_SOURCE = 'live';
+
+const saveSnapshot = async (file, cacheOpts) => {
+  const { data, fetchedAt, sources } = await loadRawCatalogue(cacheOpts);
+  await writeFile(file, JSON.stringify({ fetchedAt, sources, data }, null, 2) + '\n');
+  return normalizeCatalogue(data);
+};
+
+// Resolve a diff side ('live' or a file path) to { label, models }
+const loadSnapshot = async (source, cacheOpts) => {
+  if (source === LIVE_SOURCE) return { label: LIVE_SOURCE, models: await fetchCatalogue(cacheOpts) };
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(source, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read snapshot ${source}: ${e.message}`);
+  }
+  if (Array.isArray(parsed)) return { label: source, models: parsed }; // --json output of the CLI
+  return { label: source, models: normalizeCatalogue(parsed?.data ?? parsed) };
+};
+
+const diffFields = [
+  'name', 'provider', 'tool', 'reasoning', 'attachment', 'temperature', 'openWeights',
+  'modalitiesInput', 'modalitiesOutput', 'inputCost', 'outputCost', 'cacheReadCost', 'cacheWriteCost',
+  'contextLimit', 'outputLimit', 'knowledge', 'releaseDate', 'lastUpdated'
+];
+
+const sameValue = (a, b) => Array.isArray(a) || Array.isArray(b)
+  ? (a ?? []).join(',') === (b ?? []).join(',')
+  : (a ?? null) === (b ?? null);
+
+const diffCatalogues = (before, after) => {
+  const beforeMap = new Map(before.map(m => [modelKey(m), m]));
+  const afterMap = new Map(after.map(m => [modelKey(m), m]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, m] of afterMap) {
+    const prev = beforeMap.get(key);
+    if (!prev) { added.push(m); continue; }
+    const changes = diffFields
+      .filter(f => !sameValue(prev[f], m[f]))
+      .map(f => ({ field: f, from: prev[f] ?? null, to: m[f] ?? null }));
+    if (changes.length) changed.push({ key, provider: m.provider, name: m.name, changes });
+  }
+  for (const [key, m] of beforeMap) if (!afterMap.has(key)) removed.push(m);
+  const byKey = (a, b) => (a.key ?? modelKey(a)).localeCompare(b.key ?? modelKey(b));
+  return { added: added.sort(byKey), removed: removed.sort(byKey), changed: changed.sort(byKey) };
+};
+
+const fmtDiffValue = (v) => {
+  if (v == null) return '-';
+  if (Array.isArray(v)) return v.join(',') || '-';
+  return String(v);
+};
+
+const formatDiffTable = (diff, { from, to }) => {
+  const out = [chalk.gray(`${from} → ${to}`)];
+  out.push(chalk.green.bold(`\nAdded (${diff.added.length})`));
+  if (diff.added.length) {
+    const table = new Table({ head: ['Provider ID', 'Model ID', 'Name', 'In $', 'Out $', 'Ctx'] });
+    for (const m of diff.added) table.push([m.providerId, m.id, m.name, fmtDiffValue(m.inputCost), fmtDiffValue(m.outputCost), fmtDiffValue(m.contextLimit)]);
+    out.push(table.toString());
+  }
+  out.push(chalk.red.bold(`\nRemoved (${diff.removed.length})`));
+  if (diff.removed.length) {
+    const table = new Table({ head: ['Provider ID', 'Model ID', 'Name'] });
+    for (const m of diff.removed) table.push([m.providerId, m.id, m.name]);
+    out.push(table.toString());
+  }
+  out.push(chalk.yellow.bold(`\nChanged (${diff.changed.length})`));
+  if (diff.changed.length) {
+    const table = new Table({ head: ['Model', 'Field', 'Old', 'New'] });
+    for (const c of diff.changed) {
+      for (const ch of c.changes) table.push([c.key, ch.field, chalk.red(fmtDiffValue(ch.from)), chalk.green(fmtDiffValue(ch.to))]);
+    }
+    out.push(table.toString());
+  }
+  return out.join('\n');
+};
+
+const mdCell = (v) => fmtDiffValue(v).replace(/\|/g, '\\|');
+
+const formatDiffMarkdown = (diff, { from, to }) => {
+  const out = [`## models.dev changes`, '', `_${from} → ${to}_`, ''];
+  out.push(`### Added (${diff.added.length})`, '');
+  if (diff.added.length) {
+    out.push('| Model | Name | In $ | Out $ | Ctx |', '| --- | --- | --- | --- | --- |');
+    for (const m of diff.added) out.push(`| \`${mdCell(modelKey(m))}\` | ${mdCell(m.name)} | ${mdCell(m.inputCost)} | ${mdCell(m.outputCost)} | ${mdCell(m.contextLimit)} |`);
+    out.push('');
+  }
+  out.push(`### Removed (${diff.removed.length})`, '');
+  if (diff.removed.length) {
+    for (const m of diff.removed) out.push(`- \`${modelKey(m)}\` (${m.name})`);
+    out.push('');
+  }
+  out.push(`### Changed (${diff.changed.length})`, '');
+  if (diff.changed.length) {
+    out.push('| Model | Field | Old | New |', '| --- | --- | --- | --- |');
+    for (const c of diff.changed) {
+      for (const ch of c.changes) out.push(`| \`${mdCell(c.key)}\` | ${ch.field} | ${mdCell(ch.from)} | ${mdCell(ch.to)} |`);
+    }
+    out.push('');
+  }
+  return out.join('\n');
+};
+
+export { LIVE_SOURCE, saveSnapshot, loadSnapshot, diffCatalogues, formatDiffTable, formatDiffMarkdown };
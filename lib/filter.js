@@ -0,0 +1,287 @@
+// Filter expression language (--where, and "=expr" in the TUI search prompts)
+//
+//   tool and ctx>=128k and in$<=3 and 'image' in modIn and provider in (openai, anthropic)
+//
+// or/and/not with parentheses; comparisons = != < <= > >= and ~ (contains); "value in field"
+// tests membership of a list field; "field [not] in (a, b)" matches any of the values; a bare
+// field is true when it is set (boolean fields: when true).
+import { searchModels } from './search.js';
+
+class FilterSyntaxError extends Error {
+  constructor(reason, expression, column) {
+    super(`Filter error at column ${column}: ${reason}\n  ${expression}\n  ${' '.repeat(Math.max(0, column - 1))}^`);
+    this.name = 'FilterSyntaxError';
+    this.reason = reason;
+    this.column = column;
+  }
+}
+
+const filterFieldDefs = [
+  { key: 'provider', type: 'provider', aliases: ['provider', 'prov'] },
+  { key: 'providerId', type: 'string', aliases: ['providerId', 'pid'] },
+  { key: 'providerEnv', type: 'list', aliases: ['providerEnv', 'env'] },
+  { key: 'providerNpm', type: 'string', aliases: ['providerNpm', 'npm'] },
+  { key: 'providerApi', type: 'string', aliases: ['providerApi', 'api'] },
+  { key: 'providerDoc', type: 'string', aliases: ['providerDoc', 'doc', 'docs'] },
+  { key: 'id', type: 'string', aliases: ['id', 'model'] },
+  { key: 'name', type: 'string', aliases: ['name'] },
+  { key: 'canonicalId', type: 'string', aliases: ['canonicalId', 'canonical'] },
+  { key: 'tool', type: 'bool', aliases: ['tool', 'tools'] },
+  { key: 'reasoning', type: 'bool', aliases: ['reasoning', 'reason'] },
+  { key: 'attachment', type: 'bool', aliases: ['attachment', 'attach'] },
+  { key: 'temperature', type: 'bool', aliases: ['temperature', 'temp'] },
+  { key: 'openWeights', type: 'bool', aliases: ['openWeights', 'open', 'weights'] },
+  { key: 'modalitiesInput', type: 'list', aliases: ['modalitiesInput', 'modIn'] },
+  { key: 'modalitiesOutput', type: 'list', aliases: ['modalitiesOutput', 'modOut'] },
+  { key: 'inputCost', type: 'number', aliases: ['inputCost', 'in$'] },
+  { key: 'outputCost', type: 'number', aliases: ['outputCost', 'out$'] },
+  { key: 'cacheReadCost', type: 'number', aliases: ['cacheReadCost', 'cacheR$'] },
+  { key: 'cacheWriteCost', type: 'number', aliases: ['cacheWriteCost', 'cacheW$'] },
+  { key: 'contextLimit', type: 'number', aliases: ['contextLimit', 'ctx', 'context'] },
+  { key: 'outputLimit', type: 'number', aliases: ['outputLimit', 'outLim', 'maxOut'] },
+  { key: 'knowledge', type: 'string', aliases: ['knowledge'] },
+  { key: 'releaseDate', type: 'string', aliases: ['releaseDate', 'release'] },
+  { key: 'lastUpdated', type: 'string', aliases: ['lastUpdated', 'updated'] },
+  { key: 'source', type: 'string', aliases: ['source', 'src'] }
+];
+const filterFields = new Map(filterFieldDefs.flatMap(f => f.aliases.map(a => [a.toLowerCase(), f])));
+
+const FILTER_KEYWORDS = new Set(['and', 'or', 'not', 'in']);
+const FILTER_OPERATORS = ['>=', '<=', '!=', '==', '=', '<', '>', '~'];
+
+const tokenizeFilter = (expr) => {
+  const tokens = [];
+  let i = 0;
+  while (i < expr.length) {
+    const ch = expr[i];
+    const col = i + 1;
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch, value: ch, col });
+      i++;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const end = expr.indexOf(ch, i + 1);
+      if (end < 0) throw new FilterSyntaxError('Unterminated string', expr, col);
+      tokens.push({ type: 'string', value: expr.slice(i + 1, end), col });
+      i = end + 1;
+      continue;
+    }
+    const op = FILTER_OPERATORS.find(o => expr.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, col });
+      i += op.length;
+      continue;
+    }
+    const word = /^[^\s()<>=!~,'"]+/.exec(expr.slice(i));
+    if (!word) throw new FilterSyntaxError(`Unexpected character '${ch}'`, expr, col);
+    const value = word[0];
+    const type = FILTER_KEYWORDS.has(value.toLowerCase()) ? value.toLowerCase() : 'word';
+    tokens.push({ type, value, col });
+    i += value.length;
+  }
+  tokens.push({ type: 'eof', value: '', col: expr.length + 1 });
+  return tokens;
+};
+
+// "128000", "128k", "1.5M" => number; anything else => null
+const parseFilterNumber = (text) => {
+  const match = /^(\d+(?:\.\d+)?)([kmb])?$/i.exec(text);
+  if (!match) return null;
+  return Number(match[1]) * ({ k: 1e3, m: 1e6, b: 1e9 }[(match[2] || '').toLowerCase()] ?? 1);
+};
+
+const parseFilterBool = (text) => {
+  const v = text.toLowerCase();
+  if (['true', 'yes', 'y', '1', 'open'].includes(v)) return true;
+  if (['false', 'no', 'n', '0', 'closed'].includes(v)) return false;
+  return null;
+};
+
+const lower = (v) => String(v).toLowerCase();
+
+// Compile an expression into a predicate (model) => boolean. Throws FilterSyntaxError.
+const compileFilter = (expr) => {
+  const tokens = tokenizeFilter(expr);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const fail = (reason, tok = peek()) => { throw new FilterSyntaxError(reason, expr, tok.col); };
+  const describe = (tok) => tok.type === 'eof' ? 'end of expression' : `'${tok.value}'`;
+  const expect = (type, what) => peek().type === type ? next() : fail(`Expected ${what}, found ${describe(peek())}`);
+
+  const fieldOf = (tok) => {
+    const field = filterFields.get(lower(tok.value));
+    if (!field) fail(`Unknown field '${tok.value}'`, tok);
+    return field;
+  };
+
+  const valueToken = () => ['word', 'string'].includes(peek().type)
+    ? next()
+    : fail(`Expected a value, found ${describe(peek())}`);
+
+  // Predicate testing a single value against a field, for = and "in (...)"
+  const equalsValue = (field, tok) => {
+    const raw = tok.value;
+    switch (field.type) {
+      case 'provider': return m => lower(m.provider) === lower(raw) || lower(m.providerId) === lower(raw);
+      case 'list': return m => (m[field.key] || []).some(x => lower(x) === lower(raw));
+      case 'bool': {
+        const b = parseFilterBool(raw);
+        if (b === null) fail(`Expected true/false for ${field.key}`, tok);
+        return m => !!m[field.key] === b;
+      }
+      case 'number': {
+        const n = parseFilterNumber(raw);
+        if (n === null) fail(`Expected a number for ${field.key}`, tok);
+        return m => m[field.key] != null && m[field.key] === n;
+      }
+      default: return m => m[field.key] != null && lower(m[field.key]) === lower(raw);
+    }
+  };
+
+  const comparison = (field, opTok, tok) => {
+    const op = opTok.value;
+    if (op === '=' || op === '==') return equalsValue(field, tok);
+    if (op === '!=') { const eq = equalsValue(field, tok); return m => !eq(m); }
+    if (op === '~') {
+      const needle = lower(tok.value);
+      if (field.type === 'provider') return m => lower(m.provider).includes(needle) || lower(m.providerId).includes(needle);
+      if (field.type === 'list') return m => (m[field.key] || []).some(x => lower(x).includes(needle));
+      if (field.type === 'string') return m => m[field.key] != null && lower(m[field.key]).includes(needle);
+      fail(`Operator ~ does not apply to ${field.key}`, opTok);
+    }
+    const cmp = {
+      '<': (a, b) => a < b, '<=': (a, b) => a <= b,
+      '>': (a, b) => a > b, '>=': (a, b) => a >= b
+    }[op];
+    if (field.type === 'number') {
+      const n = parseFilterNumber(tok.value);
+      if (n === null) fail(`Expected a number for ${field.key}`, tok);
+      return m => m[field.key] != null && cmp(m[field.key], n);
+    }
+    if (field.type === 'string') return m => m[field.key] != null && cmp(String(m[field.key]), tok.value);
+    return fail(`Operator ${op} does not apply to ${field.key}`, opTok);
+  };
+
+  const primary = () => {
+    if (peek().type === '(') {
+      next();
+      const inner = orExpr();
+      expect(')', "')'");
+      return inner;
+    }
+    // 'value' in listField
+    if (peek().type === 'string' || (peek().type === 'word' && tokens[pos + 1]?.type === 'in' && !filterFields.has(lower(peek().value)))) {
+      const valTok = next();
+      expect('in', "'in'");
+      const fieldTok = expect('word', 'a field name');
+      const field = fieldOf(fieldTok);
+      if (field.type !== 'list' && field.type !== 'string' && field.type !== 'provider') {
+        fail(`'in' needs a list or text field, ${field.key} is ${field.type}`, fieldTok);
+      }
+      if (field.type === 'list') return equalsValue(field, valTok);
+      return comparison(field, { value: '~', col: valTok.col }, valTok);
+    }
+    const fieldTok = expect('word', 'a field name');
+    const field = fieldOf(fieldTok);
+    // field [not] in (a, b, ...)
+    const negated = peek().type === 'not' && tokens[pos + 1]?.type === 'in';
+    if (negated) next();
+    if (peek().type === 'in') {
+      next();
+      expect('(', "'(' after 'in'");
+      const options = [equalsValue(field, valueToken())];
+      while (peek().type === ',') {
+        next();
+        options.push(equalsValue(field, valueToken()));
+      }
+      expect(')', "')' or ','");
+      return negated ? m => !options.some(f => f(m)) : m => options.some(f => f(m));
+    }
+    if (peek().type === 'op') {
+      const opTok = next();
+      return comparison(field, opTok, valueToken());
+    }
+    if (field.type === 'bool') return m => !!m[field.key];
+    if (field.type === 'list') return m => (m[field.key] || []).length > 0;
+    return m => m[field.key] != null;
+  };
+
+  const notExpr = () => {
+    if (peek().type === 'not') {
+      next();
+      const inner = notExpr();
+      return m => !inner(m);
+    }
+    return primary();
+  };
+
+  const andExpr = () => {
+    const parts = [notExpr()];
+    while (peek().type === 'and') { next(); parts.push(notExpr()); }
+    return parts.length === 1 ? parts[0] : m => parts.every(f => f(m));
+  };
+
+  const orExpr = () => {
+    const parts = [andExpr()];
+    while (peek().type === 'or') { next(); parts.push(andExpr()); }
+    return parts.length === 1 ? parts[0] : m => parts.some(f => f(m));
+  };
+
+  if (peek().type === 'eof') fail('Empty expression');
+  const predicate = orExpr();
+  if (peek().type !== 'eof') fail(`Unexpected ${describe(peek())}`);
+  return predicate;
+};
+
+// Shared by the CLI, the blessed TUI and the table TUI. Boolean criteria: true => must have,
+// false => must not have, null/undefined => any. `where` is a filter expression.
+const filterModels = (models, criteria = {}) => {
+  const {
+    provider, tool, reasoning, openWeights, temperature,
+    minContext, maxInputCost, maxOutputCost, modalitiesInput = [], modalitiesOutput = [],
+    releasedAfter, knowledgeAfter, where
+  } = criteria;
+  let list = models;
+  if (provider) {
+    const p = provider.toLowerCase();
+    list = list.filter(m => m.provider.toLowerCase() === p || m.providerId.toLowerCase() === p);
+  }
+  const flag = (value, key) => {
+    if (value != null) list = list.filter(m => value ? m[key] : !m[key]);
+  };
+  flag(tool, 'tool');
+  flag(reasoning, 'reasoning');
+  flag(openWeights, 'openWeights');
+  flag(temperature, 'temperature');
+  if (minContext != null) list = list.filter(m => (m.contextLimit ?? -Infinity) >= minContext);
+  if (maxInputCost != null) list = list.filter(m => m.inputCost != null && m.inputCost <= maxInputCost);
+  if (maxOutputCost != null) list = list.filter(m => m.outputCost != null && m.outputCost <= maxOutputCost);
+  if (modalitiesInput.length) list = list.filter(m => modalitiesInput.every(x => (m.modalitiesInput || []).includes(x)));
+  if (modalitiesOutput.length) list = list.filter(m => modalitiesOutput.every(x => (m.modalitiesOutput || []).includes(x)));
+  // ISO dates compare as strings; "after" is inclusive so --knowledge-after 2025-03 keeps 2025-03
+  if (releasedAfter) list = list.filter(m => m.releaseDate != null && m.releaseDate >= releasedAfter);
+  if (knowledgeAfter) list = list.filter(m => m.knowledge != null && m.knowledge >= knowledgeAfter);
+  if (where) list = list.filter(compileFilter(where));
+  return list;
+};
+
+// filterModels, then the ranked search (best match first) when there is a search term
+const applyFilters = (models, { search, ...criteria }) => {
+  const list = filterModels(models, criteria);
+  return search ? searchModels(list, search).map(r => r.model) : list;
+};
+
+// --sort and --fields accept any model field by name or filter alias, kebab or camel case
+// ("input-cost", "inputCost", "ctx", "in$")
+const fieldNames = new Map([
+  ...filterFieldDefs.flatMap(f => [f.key, ...f.aliases].map(a => [a.replace(/[-_]/g, '').toLowerCase(), f.key]))
+]);
+const resolveField = (name) => fieldNames.get(String(name).replace(/[-_]/g, '').toLowerCase()) ?? null;
+
+export {
+  FilterSyntaxError, filterFieldDefs, parseFilterNumber, parseFilterBool, compileFilter,
+  filterModels, applyFilters, resolveField
+};
@@ -0,0 +1,210 @@
+// Output formatting: terminal tables, machine formats and the compare view
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { stripVTControlCharacters } from 'util';
+import { modelKey } from './catalogue.js';
+import { highlightText } from './search.js';
+
+// The ANSI `paint(text, style)` for renderers that also draw into blessed (charts, model
+// details). style: { color, bold, dim, inverse, underline }
+const ansiPaint = (text, style = {}) => {
+  let c = chalk;
+  if (style.color) c = c[style.color];
+  if (style.bold) c = c.bold;
+  if (style.dim) c = c.dim;
+  if (style.inverse) c = c.inverse;
+  if (style.underline) c = c.underline;
+  return c === chalk ? text : c(text);
+};
+
+const yesNo = (v) => v ? chalk.green('Y') : chalk.gray('N');
+const usd = (v) => v != null ? `$${v}` : '-';
+
+// Columns shared by formatTable and the transposed compare view. `width` is the narrowest a
+// column gets squeezed to on small terminals. `best` marks how to pick the winning value when comparing: min | max | true | latest.
+const tableColumns = [
+  { key: 'provider', head: 'Provider', width: 12, format: m => m.provider },
+  { key: 'name', head: 'Model', width: 18, format: m => m.name },
+  { key: 'providerId', head: 'Provider ID', width: 12, format: m => m.providerId },
+  { key: 'id', head: 'Model ID', width: 18, format: m => m.id },
+  { key: 'tool', head: 'Tool', width: 6, format: m => yesNo(m.tool), best: 'true' },
+  { key: 'reasoning', head: 'Reason', width: 8, format: m => yesNo(m.reasoning), best: 'true' },
+  { key: 'modalitiesInput', head: 'In Mod', width: 10, format: m => m.modalitiesInput.join(',') || '-' },
+  { key: 'modalitiesOutput', head: 'Out Mod', width: 10, format: m => m.modalitiesOutput.join(',') || '-' },
+  { key: 'inputCost', head: 'In $', width: 8, format: m => usd(m.inputCost), best: 'min' },
+  { key: 'outputCost', head: 'Out $', width: 8, format: m => usd(m.outputCost), best: 'min' },
+  { key: 'cacheReadCost', head: 'Cache R', width: 8, format: m => usd(m.cacheReadCost), best: 'min' },
+  { key: 'cacheWriteCost', head: 'Cache W', width: 8, format: m => usd(m.cacheWriteCost), best: 'min' },
+  { key: 'contextLimit', head: 'Ctx', width: 9, format: m => m.contextLimit ?? '-', best: 'max' },
+  { key: 'outputLimit', head: 'Out Lim', width: 9, format: m => m.outputLimit ?? '-', best: 'max' },
+  { key: 'temperature', head: 'Temp', width: 6, format: m => yesNo(m.temperature), best: 'true' },
+  { key: 'openWeights', head: 'Weights', width: 9, format: m => m.openWeights ? chalk.green('OPEN') : chalk.gray('CLOSED'), best: 'true' },
+  { key: 'knowledge', head: 'Knowledge', width: 11, format: m => m.knowledge ?? '-', best: 'latest' },
+  { key: 'releaseDate', head: 'Release', width: 12, format: m => m.releaseDate ?? '-', best: 'latest' },
+  { key: 'lastUpdated', head: 'Updated', width: 12, format: m => m.lastUpdated ?? '-', best: 'latest' }
+];
+
+// Selectable with --fields but not shown by default
+const extraColumns = [
+  { key: 'attachment', head: 'Attach', width: 8, format: m => yesNo(m.attachment) },
+  { key: 'canonicalId', head: 'Canonical', width: 12, format: m => m.canonicalId },
+  { key: 'source', head: 'Source', width: 12, format: m => m.source ?? '-' },
+  { key: 'providerEnv', head: 'Env', width: 12, format: m => (m.providerEnv ?? []).join(',') || '-' },
+  { key: 'providerNpm', head: 'npm', width: 12, format: m => m.providerNpm ?? '-' },
+  { key: 'providerApi', head: 'API', width: 12, format: m => m.providerApi ?? '-' },
+  { key: 'providerDoc', head: 'Docs', width: 12, format: m => m.providerDoc ?? '-' }
+];
+
+const columnFor = (key) => [...tableColumns, ...extraColumns].find(c => c.key === key)
+  ?? { key, head: key, width: 8, format: m => Array.isArray(m[key]) ? m[key].join(',') || '-' : m[key] ?? '-' };
+
+// Fit columns to the terminal: natural widths when they fit, otherwise shrink the widest
+// columns first, never below each column's preferred width. Piped output is not squeezed.
+const fitColumnWidths = (columns, rows, maxWidth = process.stdout.isTTY ? process.stdout.columns : Infinity) => {
+  const visible = (v) => stripVTControlCharacters(String(v)).length;
+  const widths = columns.map((c, i) => Math.max(visible(c.head), ...rows.map(r => visible(r[i]))) + 2);
+  const floors = widths.map((w, i) => Math.min(w, columns[i].width));
+  const available = maxWidth - (columns.length + 1); // one border char per column, plus the last
+  let total = widths.reduce((a, b) => a + b, 0);
+  while (total > available) {
+    let widest = -1;
+    widths.forEach((w, i) => { if (w > floors[i] && (widest < 0 || w > widths[widest])) widest = i; });
+    if (widest < 0) break;
+    widths[widest]--;
+    total--;
+  }
+  return widths;
+};
+
+// `highlights`: modelKey => searchModels matches; matched characters of text columns are marked
+const formatTable = (models, fields, { highlights } = {}) => {
+  const columns = fields ? fields.map(columnFor) : tableColumns;
+  // Highlighted cells stay { text, ranges } until their width is known
+  const display = (m, c) => {
+    const ranges = highlights?.get(modelKey(m))?.[c.key];
+    return ranges && typeof m[c.key] === 'string' ? { text: m[c.key], ranges } : c.format(m);
+  };
+  const rows = models.map(m => columns.map(c => display(m, c)));
+  const colWidths = fitColumnWidths(columns, rows.map(row => row.map(v => v?.ranges ? v.text : v)));
+  const table = new Table({
+    head: columns.map(c => c.head),
+    wordWrap: true,
+    colWidths
+  });
+  const mark = chalk.yellow.bold;
+  // Single-word cells (ids, slugs) wrap anywhere rather than being truncated. cli-table3 counts
+  // colour codes as characters when it breaks a word, so highlighted words are broken here.
+  const cell = (v, width) => {
+    if (v?.ranges) {
+      if (/\s/.test(v.text)) return highlightText(v.text, v.ranges, { mark });
+      const size = Math.max(1, width - 2);
+      const lines = [];
+      for (let at = 0; at < v.text.length; at += size) {
+        const ranges = v.ranges.filter(([, end]) => end >= at).map(([start, end]) => [Math.max(0, start - at), end - at]);
+        lines.push(highlightText(v.text.slice(at, at + size), ranges, { mark }));
+      }
+      return lines.join('\n');
+    }
+    return /\s/.test(String(v)) ? v : { content: v, wrapOnWordBoundary: false };
+  };
+  for (const row of rows) table.push(row.map((v, i) => cell(v, colWidths[i])));
+  return table.toString();
+};
+
+// provider:name:id per line, or the `fields` values joined by colons (lists by commas, - for none)
+const compactValue = (v) => v == null ? '-' : Array.isArray(v) ? v.join(',') || '-' : String(v);
+const formatCompact = (models, fields) => models
+  .map(m => fields ? fields.map(f => compactValue(m[f])).join(':') : `${m.provider}:${m.name}:${m.id}`)
+  .join('\n');
+
+// Output formats. Machine formats (csv, tsv, ndjson, yaml, json) carry raw values
+// keyed by field name; markdown uses the table headings and display values.
+const OUTPUT_FORMATS = ['table', 'compact', 'json', 'ndjson', 'csv', 'tsv', 'markdown', 'yaml'];
+
+const pickFields = (m, fields) => fields ? Object.fromEntries(fields.map(f => [f, m[f] ?? null])) : m;
+
+const delimitedCell = (v, sep) => {
+  if (v == null) return '';
+  const text = Array.isArray(v) ? v.join(',') : String(v);
+  if (sep === '\t') return text.replace(/[\t\n]/g, ' ');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDelimited = (records, keys, sep) => [
+  keys.join(sep),
+  ...records.map(r => keys.map(k => delimitedCell(r[k], sep)).join(sep))
+].join('\n');
+
+const formatMarkdownTable = (models, fields) => {
+  const columns = fields ? fields.map(columnFor) : tableColumns;
+  const cell = (v) => stripVTControlCharacters(String(v)).replace(/\|/g, '\\|');
+  return [
+    `| ${columns.map(c => c.head).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...models.map(m => `| ${columns.map(c => cell(c.format(m))).join(' | ')} |`)
+  ].join('\n');
+};
+
+const YAML_RESERVED = /^(true|false|yes|no|on|off|null|~|y|n)$/i;
+const yamlScalar = (v) => {
+  if (v == null) return 'null';
+  if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+  if (Array.isArray(v)) return `[${v.map(yamlScalar).join(', ')}]`;
+  if (typeof v === 'object') return `{${Object.entries(v).map(([k, x]) => `${yamlScalar(k)}: ${yamlScalar(x)}`).join(', ')}}`;
+  const text = String(v);
+  return /^[A-Za-z_][\w .\/()-]*$/.test(text) && !YAML_RESERVED.test(text) && !/\s$/.test(text)
+    ? text
+    : JSON.stringify(text);
+};
+
+const formatYaml = (records) => records.length
+  ? records.map(r => Object.entries(r).map(([k, v], i) => `${i ? '  ' : '- '}${k}: ${yamlScalar(v)}`).join('\n')).join('\n')
+  : '[]';
+
+const formatModels = (models, format, fields, { highlights } = {}) => {
+  const records = models.map(m => pickFields(m, fields));
+  const keys = fields ?? tableColumns.map(c => c.key);
+  switch (format) {
+    case 'table': return formatTable(models, fields, { highlights });
+    case 'compact': return formatCompact(models, fields);
+    case 'json': return JSON.stringify(records, null, 2);
+    case 'ndjson': return records.map(r => JSON.stringify(r)).join('\n');
+    case 'csv': return formatDelimited(records, keys, ',');
+    case 'tsv': return formatDelimited(records, keys, '\t');
+    case 'markdown': return formatMarkdownTable(models, fields);
+    case 'yaml': return formatYaml(records);
+    default: throw new Error(`Unknown format: ${format}`);
+  }
+};
+
+// Indexes of the models holding the best value for `key`. Empty when there is nothing to
+// choose between (all equal or all missing) so a highlight always means something.
+const bestIndexes = (models, key, best) => {
+  if (!best || models.length < 2) return new Set();
+  const values = models.map(m => m[key]);
+  const present = values.filter(v => v != null && v !== false);
+  if (!present.length || values.every(v => v === values[0])) return new Set();
+  let target;
+  if (best === 'true') target = true;
+  else if (best === 'min') target = Math.min(...present);
+  else if (best === 'max') target = Math.max(...present);
+  else if (best === 'latest') target = [...present].sort().pop();
+  return new Set(values.flatMap((v, i) => v === target ? [i] : []));
+};
+
+const formatCompare = (models) => {
+  const table = new Table({ head: ['', ...models.map(modelKey)], wordWrap: true });
+  for (const col of tableColumns) {
+    const winners = bestIndexes(models, col.key, col.best);
+    table.push([
+      chalk.bold(col.head),
+      ...models.map((m, i) => {
+        const text = String(col.format(m));
+        return winners.has(i) ? chalk.bgGreen.black(stripVTControlCharacters(text)) : text;
+      })
+    ]);
+  }
+  return table.toString();
+};
+
+export { ansiPaint, tableColumns, OUTPUT_FORMATS, formatTable, formatCompact, formatModels, formatCompare, bestIndexes };
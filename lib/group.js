@@ -0,0 +1,110 @@
+// Canonical models: the same underlying model offered by several providers (first-party API,
+// Bedrock, Vertex, OpenRouter, ...) under ids such as
+//
+//   claude-sonnet-4-20250514            anthropic
+//   anthropic.claude-sonnet-4-20250514-v1:0   amazon-bedrock
+//   claude-sonnet-4@20250514            google-vertex
+//   anthropic/claude-sonnet-4           openrouter
+//
+// all reduce to `claude-sonnet-4`. An api.json/overlay entry can set `canonical` itself where
+// the heuristic gets it wrong.
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { modelKey } from './catalogue.js';
+
+// Bedrock ids start with `region.` and `vendor.` (us.anthropic.claude-..., meta.llama3-...). The
+// vendor is dropped, unless what follows is a bare code such as r1, which keeps it: deepseek-r1.
+const dropDottedPrefix = (id) => {
+  const match = /^(?:[a-z]+\.)*([a-z]+)\.([a-z].*)$/.exec(id);
+  if (!match) return id;
+  const [, vendor, rest] = match;
+  return /^[a-z]\d/.test(rest) ? `${vendor}-${rest}` : rest;
+};
+
+// Id → canonical id: drop vendor prefixes, routing tags, version and snapshot suffixes, then
+// normalise separators so `llama3-3-70b` and `llama-3.3-70b` meet
+const canonicalModelId = (id) => dropDottedPrefix(String(id).toLowerCase().replace(/^.*\//, '')) // vendor/ (routers)
+  .replace(/-v\d+:\d+$/, '') // -v1:0 (Bedrock)
+  .replace(/[:@].*$/, '') // :free, @20250514 (Vertex)
+  .replace(/-(?:\d{8}|\d{4}-\d{2}-\d{2}|latest)$/, '') // dated snapshots
+  .replace(/-(?:instruct|versatile)$/, '') // serving names for the same weights
+  .replace(/([a-z]{2,})(\d)/g, '$1-$2')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+// Cheapest first: input price, then output price; unpriced offerings last
+const byPrice = (a, b) => (a.inputCost ?? Infinity) - (b.inputCost ?? Infinity) ||
+  (a.outputCost ?? Infinity) - (b.outputCost ?? Infinity);
+
+// Most common display name among the offerings, shortest on a tie
+const groupName = (models) => {
+  const counts = new Map();
+  for (const m of models) counts.set(m.name, (counts.get(m.name) ?? 0) + 1);
+  return [...counts.entries()].sort(([a, ca], [b, cb]) => cb - ca || a.length - b.length)[0][0];
+};
+
+// One group per canonical id among `models` (the ones passing the filters), in the order the
+// first of each appears. `offerings` are every model in `catalogue` with that canonical id,
+// cheapest first, each flagged `matches` when it is in `models`; `cheapest` is the cheapest
+// matching one.
+const groupModels = (models, catalogue = models) => {
+  const matching = new Set(models.map(modelKey));
+  const byCanonical = new Map();
+  for (const m of catalogue) {
+    if (!byCanonical.has(m.canonicalId)) byCanonical.set(m.canonicalId, []);
+    byCanonical.get(m.canonicalId).push(m);
+  }
+  const groups = new Map();
+  for (const m of models) {
+    if (groups.has(m.canonicalId)) continue;
+    const offerings = [...(byCanonical.get(m.canonicalId) ?? [m])]
+      .sort(byPrice)
+      .map(model => ({ model, matches: matching.has(modelKey(model)) }));
+    groups.set(m.canonicalId, {
+      canonicalId: m.canonicalId,
+      name: groupName(offerings.map(o => o.model)),
+      offerings,
+      cheapest: offerings.find(o => o.matches).model
+    });
+  }
+  return [...groups.values()];
+};
+
+// JSON shape for `--group --json`
+const groupRecords = (groups) => groups.map(g => ({
+  canonicalId: g.canonicalId,
+  name: g.name,
+  cheapest: modelKey(g.cheapest),
+  offerings: g.offerings.map(o => ({ ...o.model, matches: o.matches }))
+}));
+
+const fmtTokens = (n) => n == null ? '-' : n >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${Math.round(n / 1e3)}k` : String(n);
+const usd = (v) => v != null ? `$${v}` : '-';
+
+// A route in the Routes column: "OpenRouter $3/$15"; the cheapest green, filtered-out ones grey
+const routeLabel = (o, cheapest) => {
+  const text = `${o.model.provider} ${usd(o.model.inputCost)}/${usd(o.model.outputCost)}`;
+  if (o.model === cheapest) return chalk.green(text);
+  return o.matches ? text : chalk.gray(`${text} (filtered)`);
+};
+
+// One row per canonical model, priced and limited by its cheapest matching offering
+const formatGroupTable = (groups) => {
+  const table = new Table({ head: ['Model', 'Canonical ID', 'Cheapest via', 'In $', 'Out $', 'Ctx', 'Out Lim', 'Routes'], wordWrap: true });
+  for (const g of groups) {
+    const m = g.cheapest;
+    table.push([
+      g.name,
+      g.canonicalId,
+      chalk.green(m.provider),
+      usd(m.inputCost),
+      usd(m.outputCost),
+      fmtTokens(m.contextLimit),
+      fmtTokens(m.outputLimit),
+      g.offerings.map(o => routeLabel(o, m)).join('\n')
+    ]);
+  }
+  return table.toString();
+};
+
+export { canonicalModelId, groupModels, groupRecords, formatGroupTable };
@@ -0,0 +1,132 @@
+// Local price/limit history: each download that replaces a cached catalogue appends what moved
+// to an NDJSON log, one event per line:
+//
+//   {"at":1760000000000,"source":"models.dev","key":"openai/gpt-4.1","type":"changed",
+//    "changes":[{"field":"inputCost","from":2,"to":1.5}]}
+//
+// type is added | removed | changed. The log lives under $XDG_STATE_HOME/models-dev (falling
+// back to ~/.local/state/models-dev) so clearing the cache does not lose it.
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { formatAge, modelKey, normalizeCatalogue } from './catalogue.js';
+
+const STATE_DIR = path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'models-dev');
+const HISTORY_FILE = path.join(STATE_DIR, 'history.ndjson');
+
+// The fields whose changes are kept
+const HISTORY_FIELDS = ['inputCost', 'outputCost', 'cacheReadCost', 'cacheWriteCost', 'contextLimit', 'outputLimit'];
+const costFields = HISTORY_FIELDS.filter(f => f.endsWith('Cost'));
+
+// Events between two raw payloads of the same source
+const historyEvents = (beforeData, afterData, { source, at }) => {
+  const before = new Map(normalizeCatalogue(beforeData).map(m => [modelKey(m), m]));
+  const after = new Map(normalizeCatalogue(afterData).map(m => [modelKey(m), m]));
+  const events = [];
+  for (const [key, m] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      events.push({ at, source, key, type: 'added', changes: HISTORY_FIELDS.filter(f => m[f] != null).map(f => ({ field: f, from: null, to: m[f] })) });
+      continue;
+    }
+    const changes = HISTORY_FIELDS.filter(f => (prev[f] ?? null) !== (m[f] ?? null)).map(f => ({ field: f, from: prev[f] ?? null, to: m[f] ?? null }));
+    if (changes.length) events.push({ at, source, key, type: 'changed', changes });
+  }
+  for (const key of before.keys()) if (!after.has(key)) events.push({ at, source, key, type: 'removed', changes: [] });
+  return events;
+};
+
+// Append what moved between a cached payload and its fresh download. Best-effort like the
+// cache itself: a read-only home must not break the CLI.
+const recordHistory = async (beforeData, afterData, meta) => {
+  const events = historyEvents(beforeData, afterData, meta);
+  if (!events.length) return events;
+  try {
+    await mkdir(STATE_DIR, { recursive: true });
+    await appendFile(HISTORY_FILE, events.map(e => JSON.stringify(e) + '\n').join(''));
+  } catch {
+    // history is best-effort
+  }
+  return events;
+};
+
+// Events oldest first, optionally for one model key and/or since a timestamp. Unreadable lines
+// (a write cut short) are skipped.
+const readHistory = async ({ key, since } = {}) => {
+  let text;
+  try {
+    text = await readFile(HISTORY_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw new Error(`Cannot read ${HISTORY_FILE}: ${e.message}`);
+  }
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (typeof event?.at !== 'number' || typeof event.key !== 'string') continue;
+      if (key && event.key !== key) continue;
+      if (since != null && event.at < since) continue;
+      events.push(event);
+    } catch {
+      // skip
+    }
+  }
+  return events.sort((a, b) => a.at - b.at);
+};
+
+// The most recent price change per model key: key => { at, changes } (cost fields only)
+const lastPriceChanges = (events) => {
+  const latest = new Map();
+  for (const e of events) {
+    if (e.type !== 'changed') continue;
+    const changes = e.changes.filter(c => costFields.includes(c.field));
+    if (changes.length) latest.set(e.key, { at: e.at, changes });
+  }
+  return latest;
+};
+
+const fmtValue = (field, v) => v == null ? '-' : field.endsWith('Cost') ? `$${v}` : String(v);
+
+// Signed percentage, green when it is good news (cheaper, or a larger limit)
+const fmtDelta = (field, from, to) => {
+  if (from == null || to == null || from === 0) return '';
+  const pct = (to - from) / from * 100;
+  const text = `${pct > 0 ? '+' : ''}${+pct.toFixed(1)}%`;
+  const better = field.endsWith('Cost') ? pct < 0 : pct > 0;
+  return better ? chalk.green(text) : chalk.red(text);
+};
+
+const formatHistoryTable = (events, { showModel = true, now = Date.now() } = {}) => {
+  const head = ['When', ...(showModel ? ['Model'] : []), 'Event', 'Field', 'Old', 'New', 'Change'];
+  const table = new Table({ head });
+  for (const e of events) {
+    const when = `${new Date(e.at).toISOString().slice(0, 10)} ${chalk.gray(`(${formatAge(now - e.at)})`)}`;
+    const type = { added: chalk.green('added'), removed: chalk.red('removed'), changed: 'changed' }[e.type] ?? e.type;
+    if (e.type !== 'changed') {
+      // Added models keep their first values in the log; the table sums them up on one line
+      const first = e.changes.filter(c => ['inputCost', 'outputCost', 'contextLimit'].includes(c.field)).map(c => `${c.field} ${fmtValue(c.field, c.to)}`);
+      table.push([when, ...(showModel ? [e.key] : []), type, '-', '-', first.join(', ') || '-', '']);
+      continue;
+    }
+    for (const c of e.changes) {
+      table.push([
+        when,
+        ...(showModel ? [e.key] : []),
+        type,
+        c.field,
+        fmtValue(c.field, c.from),
+        fmtValue(c.field, c.to),
+        fmtDelta(c.field, c.from, c.to)
+      ]);
+    }
+  }
+  return table.toString();
+};
+
+export {
+  HISTORY_FILE, HISTORY_FIELDS, historyEvents, recordHistory, readHistory, lastPriceChanges, formatHistoryTable
+};
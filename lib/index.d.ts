@@ -0,0 +1,608 @@
+// Type declarations for the @kud/models-dev-cli library API (lib/index.js)
+import type { Server } from 'http';
+
+/** A models.dev model, flattened and normalized. Prices are USD per 1M tokens. */
+export interface Model {
+  /** Provider key in api.json, e.g. "openai" */
+  providerId: string;
+  /** Provider display name, e.g. "OpenAI" */
+  provider: string;
+  /** Env vars the provider's SDK reads for credentials, e.g. ["OPENAI_API_KEY"] */
+  providerEnv: string[];
+  /** AI SDK npm package, e.g. "@ai-sdk/openai" */
+  providerNpm: string | null;
+  /** API base URL, when the provider publishes one */
+  providerApi: string | null;
+  /** Provider documentation URL */
+  providerDoc: string | null;
+  id: string;
+  name: string;
+  /** Shared by the same model across providers, e.g. "claude-sonnet-4"; an api.json/overlay `canonical` wins */
+  canonicalId: string;
+  tool: boolean;
+  reasoning: boolean;
+  attachment: boolean;
+  temperature: boolean;
+  openWeights: boolean;
+  modalitiesInput: string[];
+  modalitiesOutput: string[];
+  inputCost: number | null;
+  outputCost: number | null;
+  cacheReadCost: number | null;
+  cacheWriteCost: number | null;
+  contextLimit: number | null;
+  outputLimit: number | null;
+  /** Knowledge cutoff, YYYY-MM or YYYY-MM-DD */
+  knowledge: string | null;
+  releaseDate: string | null;
+  lastUpdated: string | null;
+  /** Label of the source the model came from ("models.dev", a URL, a file or the overlay) */
+  source: string | null;
+  /** Fields whose value was replaced by a later source or the overlay, with that source's label */
+  overrides?: Partial<Record<ModelField, string>>;
+}
+
+export type ModelField = keyof Model;
+
+/** The raw api.json payload: provider key => provider with its models. */
+export type RawCatalogue = Record<string, {
+  name?: string;
+  models?: Record<string, Record<string, unknown>>;
+  [key: string]: unknown;
+}>;
+
+// Catalogue
+
+export interface CatalogueOptions {
+  /** URLs and/or files in the api.json shape, merged in order (default: models.dev) */
+  sources?: string[];
+  /** Overlay file applied last; false disables it (default: $MODELS_DEV_OVERLAY, then OVERLAY_FILE if present) */
+  overlay?: string | false;
+  /** Never touch the network; reject if nothing is cached */
+  offline?: boolean;
+  /** Ignore any cached copy and download */
+  refresh?: boolean;
+  /** Max cache age, e.g. "30m", "6h", "2d" (default $MODELS_DEV_CACHE_TTL or "1h") */
+  ttl?: string;
+  /** Per-attempt download timeout, e.g. "30s" (default $MODELS_DEV_TIMEOUT or "15s") */
+  timeout?: string;
+  /** Further attempts after a timeout, dropped connection or 5xx/429 (default $MODELS_DEV_RETRIES or 2) */
+  retries?: number;
+  /** PEM bundle trusted on top of Node's roots (default $MODELS_DEV_CA_FILE) */
+  caFile?: string;
+  /** Receives download retries and stale-cache fallbacks; nothing is printed otherwise */
+  onWarning?: (message: string) => void;
+}
+
+export interface CatalogueMeta {
+  /** Epoch milliseconds when the data was downloaded */
+  fetchedAt: number;
+  fromCache: boolean;
+  /** True when the network failed and an expired cache was used instead */
+  stale: boolean;
+  /** Labels of the merged layers, in order */
+  sources: string[];
+}
+
+export const API_URL: string;
+export const CACHE_FILE: string;
+export const OVERLAY_FILE: string;
+export const DEFAULT_CACHE_TTL: string;
+export const DEFAULT_TIMEOUT: string;
+export const DEFAULT_RETRIES: number;
+
+/** Why a download failed, for the layer that broke: name resolution, TCP, proxy tunnel, TLS, timeout, HTTP status or body. */
+export type NetworkErrorReason = 'dns' | 'connection' | 'proxy' | 'tls' | 'timeout' | 'http' | 'parse';
+
+/** Thrown by the loaders when a URL source cannot be downloaded and nothing is cached; the message says what to try. */
+export class NetworkError extends Error {
+  readonly reason: NetworkErrorReason;
+  readonly url: string;
+  /** HTTP status, for `http` (and `proxy`, the CONNECT status) */
+  readonly status: number | null;
+  /** Node's error code, e.g. "ENOTFOUND", "SELF_SIGNED_CERT_IN_CHAIN" */
+  readonly code: string | null;
+  /** Attempts made, retries included */
+  readonly attempts: number;
+  constructor(reason: NetworkErrorReason, message: string, details?: { url?: string; status?: number | null; code?: string | null; attempts?: number });
+}
+
+/** "90", "90s", "30m", "6h", "2d" to milliseconds (bare numbers are seconds). */
+export function parseDuration(value: string | number): number;
+
+export function loadRawCatalogue(options?: CatalogueOptions): Promise<CatalogueMeta & { data: RawCatalogue }>;
+export function loadCatalogue(options?: CatalogueOptions): Promise<CatalogueMeta & { models: Model[] }>;
+/** Download (or read from cache) and normalize the whole catalogue. */
+export function fetchCatalogue(options?: CatalogueOptions): Promise<Model[]>;
+
+export function normalizeModel(
+  raw: Record<string, any>,
+  providerId: string,
+  provider?: { name?: string; env?: string[]; npm?: string; api?: string; doc?: string }
+): Model;
+export function normalizeCatalogue(raw: RawCatalogue): Model[];
+
+/** "providerId/id" */
+export function modelKey(model: Pick<Model, 'providerId' | 'id'>): string;
+/** Provider ids with display names and model counts, sorted by id (see summarizeProviders for more). */
+export function listProviders(models: Model[]): { id: string; name: string; models: number }[];
+/** Thrown by resolveModelRef: `reason` tells a missing model from a bare id several providers share. */
+export class ModelRefError extends Error {
+  readonly reason: 'unknown' | 'ambiguous';
+  readonly ref: string;
+  /** Keys of the models an ambiguous reference matches */
+  readonly matches: string[];
+  constructor(reason: 'unknown' | 'ambiguous', ref: string, matches?: string[]);
+}
+/** Find a model by "providerId/id", or by bare id when it is unique. Throws ModelRefError when unknown or ambiguous. */
+export function resolveModelRef(models: Model[], ref: string): Model;
+
+// Providers
+
+export interface ProviderSummary {
+  id: string;
+  name: string;
+  env: string[];
+  npm: string | null;
+  api: string | null;
+  doc: string | null;
+  models: number;
+  /** How many of the provider's models have each capability */
+  coverage: { tool: number; reasoning: number; attachment: number; openWeights: number };
+  /** null when no model has a value */
+  inputCost: { min: number; max: number } | null;
+  outputCost: { min: number; max: number } | null;
+  contextLimit: { min: number; max: number } | null;
+}
+
+/** Per-provider metadata, coverage and ranges over the given models, sorted by id. */
+export function summarizeProviders(models: Model[]): ProviderSummary[];
+
+// Model groups
+
+/** One canonical model and every provider's offering of it. */
+export interface ModelGroup {
+  canonicalId: string;
+  /** The most common display name among the offerings */
+  name: string;
+  /** Cheapest first (input, then output price); `matches` when the offering passed the filters */
+  offerings: { model: Model; matches: boolean }[];
+  /** The cheapest offering that passed the filters */
+  cheapest: Model;
+}
+
+/** "anthropic.claude-sonnet-4-20250514-v1:0", "anthropic/claude-sonnet-4", ... => "claude-sonnet-4". */
+export function canonicalModelId(id: string): string;
+/** One group per canonical id among `models`, in order of first appearance; offerings come from `catalogue` (default: `models`). */
+export function groupModels(models: Model[], catalogue?: Model[]): ModelGroup[];
+/** The `--group --json` shape: offerings as models with a `matches` flag, `cheapest` as a modelKey. */
+export function groupRecords(groups: ModelGroup[]): { canonicalId: string; name: string; cheapest: string; offerings: (Model & { matches: boolean })[] }[];
+
+// Stats
+
+export type StatsGroup = 'provider' | 'input-modality' | 'output-modality' | 'release-month';
+export const STATS_GROUPS: StatsGroup[];
+
+export interface StatsSpread {
+  min: number;
+  median: number;
+  max: number;
+}
+
+export interface StatsSummary {
+  /** Provider name, modality, YYYY-MM, 'unknown', or 'All' for the total */
+  group: string;
+  models: number;
+  /** Fraction of the models (0..1) with each capability */
+  share: { tool: number; reasoning: number; openWeights: number };
+  /** null when no model has a value */
+  inputCost: StatsSpread | null;
+  outputCost: StatsSpread | null;
+  contextLimit: StatsSpread | null;
+}
+
+export interface CatalogueStats {
+  by: StatsGroup | null;
+  /** Empty without `by`; months in date order, other groups largest first */
+  groups: StatsSummary[];
+  total: StatsSummary;
+}
+
+/** The `stats --json` report; with `input-modality` / `output-modality`, a model counts once per modality it lists. */
+export function catalogueStats(models: Model[], by?: StatsGroup | null): CatalogueStats;
+/** The `stats --markdown` report. */
+export function formatStatsMarkdown(stats: CatalogueStats): string;
+
+// Snippets
+
+export type SnippetTarget = 'ai-sdk' | 'litellm' | 'opencode' | 'curl' | 'env';
+export const SNIPPET_TARGETS: SnippetTarget[];
+/** Integration boilerplate for one model. Throws when the catalogue lacks what the target needs (e.g. no npm package or API base URL). */
+export function buildSnippet(model: Model, target: SnippetTarget): string;
+
+// Filtering
+
+/** Boolean criteria: true => must have, false => must not have, null/undefined => any. */
+export interface FilterCriteria {
+  /** Provider id or display name, case-insensitive */
+  provider?: string | null;
+  tool?: boolean | null;
+  reasoning?: boolean | null;
+  openWeights?: boolean | null;
+  temperature?: boolean | null;
+  minContext?: number | null;
+  maxInputCost?: number | null;
+  maxOutputCost?: number | null;
+  /** Every listed modality is required */
+  modalitiesInput?: string[];
+  modalitiesOutput?: string[];
+  /** Inclusive, YYYY[-MM[-DD]] */
+  releasedAfter?: string | null;
+  knowledgeAfter?: string | null;
+  /** Filter expression, e.g. "tool and ctx>=128k and in$<=3" */
+  where?: string | null;
+}
+
+export class FilterSyntaxError extends Error {
+  readonly reason: string;
+  /** 1-based column of the offending token */
+  readonly column: number;
+  constructor(reason: string, expression: string, column: number);
+}
+
+export interface FilterFieldDef {
+  key: ModelField;
+  type: 'provider' | 'string' | 'bool' | 'list' | 'number';
+  aliases: string[];
+}
+
+export const filterFieldDefs: FilterFieldDef[];
+
+/** Compile a filter expression into a predicate. Throws FilterSyntaxError. */
+export function compileFilter(expression: string): (model: Model) => boolean;
+export function filterModels(models: Model[], criteria?: FilterCriteria): Model[];
+/** filterModels plus the ranked `search` (see searchModels); search results come best first. */
+export function applyFilters(models: Model[], criteria: FilterCriteria & { search?: string | null }): Model[];
+/** Resolve a field name or alias ("input-cost", "ctx", "in$") to a Model key, or null. */
+export function resolveField(name: string): ModelField | null;
+
+// Sorting
+
+/** Comparator on one field; nulls always sort last. dir: 1 ascending, -1 descending. */
+export function compareByField(field: ModelField, dir?: 1 | -1): (a: Model, b: Model) => number;
+/** Parse "inputCost", "context:desc", "release-date desc" or a table-mode label. */
+export function parseSort(spec: string): [ModelField, 1 | -1];
+/** Return a sorted copy; models are returned unchanged when sort is empty. */
+export function applySort(models: Model[], sort?: string | null): Model[];
+
+// Search
+
+export type SearchPrefix = 'provider' | 'id' | 'name' | 'modality';
+export const SEARCH_PREFIXES: SearchPrefix[];
+
+/** Matched character ranges per field, [start, end] inclusive. */
+export type SearchMatches = Partial<Record<'name' | 'id' | 'provider' | 'providerId' | 'modalitiesInput' | 'modalitiesOutput', [number, number][]>>;
+
+export interface SearchHit {
+  model: Model;
+  /** 0..1, 1 for an exact hit */
+  score: number;
+  matches: SearchMatches;
+}
+
+/** Weighted fuzzy search: every term must match; `provider:groq` limits a term to fields, `"quoted"` text matches exactly, `openai/gpt-4.1` matches provider and model id together. Best first. */
+export function searchModels(models: Model[], query: string): SearchHit[];
+/** `text` with the ranges passed through `mark` and everything else through `plain`. */
+export function highlightText(text: string, ranges: [number, number][] | undefined, painters: { mark: (s: string) => string; plain?: (s: string) => string }): string;
+
+// Formatting
+
+export type OutputFormat = 'table' | 'compact' | 'json' | 'ndjson' | 'csv' | 'tsv' | 'markdown' | 'yaml';
+
+export interface TableColumn {
+  key: ModelField;
+  head: string;
+  width: number;
+  format: (model: Model) => string | number;
+  best?: 'min' | 'max' | 'true' | 'latest';
+}
+
+export const OUTPUT_FORMATS: OutputFormat[];
+export const tableColumns: TableColumn[];
+
+/** Search matches by modelKey, highlighted in table output. */
+export interface TableOptions {
+  highlights?: Map<string, SearchMatches> | null;
+}
+
+/** Render models in any CLI output format, optionally limited to (and ordered by) fields. */
+export function formatModels(models: Model[], format: OutputFormat, fields?: ModelField[], options?: TableOptions): string;
+/** Terminal table sized to stdout; contains ANSI colours. */
+export function formatTable(models: Model[], fields?: ModelField[], options?: TableOptions): string;
+/** One "provider:name:id" line per model, or the given fields' values joined by ":". */
+export function formatCompact(models: Model[], fields?: ModelField[]): string;
+/** Side-by-side table with the best value per row highlighted. */
+export function formatCompare(models: Model[]): string;
+
+// Snapshots & diff
+
+export interface FieldChange {
+  field: ModelField;
+  from: unknown;
+  to: unknown;
+}
+
+export interface CatalogueDiff {
+  added: Model[];
+  removed: Model[];
+  changed: { key: string; provider: string; name: string; changes: FieldChange[] }[];
+}
+
+/** Write the current catalogue to a snapshot file and return its models. */
+export function saveSnapshot(file: string, options?: CatalogueOptions): Promise<Model[]>;
+/** Load "live" or a snapshot / api.json / --json output file. */
+export function loadSnapshot(source: string, options?: CatalogueOptions): Promise<{ label: string; models: Model[] }>;
+export function diffCatalogues(before: Model[], after: Model[]): CatalogueDiff;
+export function formatDiffMarkdown(diff: CatalogueDiff, labels: { from: string; to: string }): string;
+
+// Price/limit history
+
+export type HistoryField = 'inputCost' | 'outputCost' | 'cacheReadCost' | 'cacheWriteCost' | 'contextLimit' | 'outputLimit';
+
+/** One line of HISTORY_FILE */
+export interface HistoryEvent {
+  /** When the download that noticed it happened (ms since epoch) */
+  at: number;
+  /** Source label: "models.dev" or the --source URL */
+  source: string;
+  /** providerId/id */
+  key: string;
+  type: 'added' | 'removed' | 'changed';
+  /** For added models, their first values (from: null); empty for removed ones */
+  changes: { field: HistoryField; from: number | null; to: number | null }[];
+}
+
+/** $XDG_STATE_HOME/models-dev/history.ndjson (~/.local/state/models-dev/history.ndjson) */
+export const HISTORY_FILE: string;
+export const HISTORY_FIELDS: HistoryField[];
+/** What moved between two raw api.json payloads of the same source. */
+export function historyEvents(before: RawCatalogue, after: RawCatalogue, meta: { source: string; at: number }): HistoryEvent[];
+/** Recorded events, oldest first; `since` is a timestamp in ms. A missing log is empty. */
+export function readHistory(options?: { key?: string; since?: number | null }): Promise<HistoryEvent[]>;
+/** The latest price change per model key (cost fields only). */
+export function lastPriceChanges(events: HistoryEvent[]): Map<string, { at: number; changes: HistoryEvent['changes'] }>;
+
+// Config validation
+
+/** A model reference found in a file; line and column are 1-based */
+export interface ModelReference {
+  file: string;
+  line: number;
+  column: number;
+  /** providerId/modelId, or a bare model id */
+  ref: string;
+}
+
+export interface ExtractOptions {
+  /** The file name: JSON paths only apply to .json files */
+  file?: string;
+  /** JSON paths such as "agents.*.model" or "$.fallbacks[0]" */
+  paths?: string[];
+  /** Regexes (flags gm); the first capture group that matched, or the whole match, is the reference */
+  patterns?: string[];
+  /** Known provider ids, for the default providerId/modelId pattern used when no path or pattern applies */
+  providerIds?: string[];
+}
+
+export interface CheckedReference extends ModelReference {
+  /** unknown is an error; unmet (the model fails the criteria) a warning */
+  status: 'ok' | 'unknown' | 'unmet';
+  /** Keys of the models the reference resolves to (several for a bare id) */
+  matches: string[];
+  /** The criteria the model fails, as readable labels */
+  unmet: string[];
+  /** Close matches for unknown references, best first */
+  suggestions: string[];
+  /** ISO date the history log recorded the model's removal, if it did */
+  removedAt: string | null;
+}
+
+export interface ValidateReport {
+  files: string[];
+  references: CheckedReference[];
+  errors: number;
+  warnings: number;
+}
+
+export interface ValidateOptions {
+  /** Required capabilities; `search` is ignored */
+  criteria?: FilterCriteria & { search?: string | null };
+  /** readHistory() events, to date removed models */
+  history?: HistoryEvent[];
+}
+
+/** "agents.*.model" → ['agents', '*', 'model']; throws on a malformed path. */
+export function parseJsonPath(path: string): (string | number)[];
+/** Model references in one file's text, in file order. */
+export function extractReferences(text: string, options?: ExtractOptions): ModelReference[];
+/** Labels for the criteria a model fails; empty when it meets them all. */
+export function unmetCriteria(model: Model, criteria?: FilterCriteria): string[];
+/** Check references against the catalogue, with suggestions for unknown ones. */
+export function validateReferences(models: Model[], refs: ModelReference[], options?: ValidateOptions): Omit<ValidateReport, 'files'>;
+/** Read `files`, extract their references and check them; unreadable files and bad paths/patterns throw. */
+export function validateFiles(models: Model[], files: string[], options?: ValidateOptions & Pick<ExtractOptions, 'paths' | 'patterns'>): Promise<ValidateReport>;
+
+// Workload pricing
+
+/** Tokens per request */
+export interface Workload {
+  input?: number;
+  output?: number;
+  cacheRead?: number;
+  cacheWrite?: number;
+}
+
+export type WorkloadPart = keyof Workload;
+
+export interface WorkloadPrice {
+  /** USD per part; null when the model has no price for a part the workload uses */
+  breakdown: Record<WorkloadPart, number | null>;
+  /** USD per request, null when any used part is unpriced */
+  total: number | null;
+  missing: WorkloadPart[];
+}
+
+/** "2M", "300k", "1500" to a token count. */
+export function parseTokenCount(value: string | number): number;
+export function priceWorkload(model: Model, workload: Workload): WorkloadPrice;
+/** Cheapest first; unpriced models last. */
+export function rankByWorkload(models: Model[], workload: Workload): (WorkloadPrice & { model: Model })[];
+/** The JSON rows of `cost --json`: each model with a `cost` breakdown and `missingPricing`. */
+export function costRecords(
+  ranked: (WorkloadPrice & { model: Model })[],
+  options?: { monthlyFactor?: number | null }
+): (Model & { cost: Record<WorkloadPart, number | null> & { total: number | null; monthly: number | null }; missingPricing: WorkloadPart[] })[];
+
+// Charts
+
+export type ChartField =
+  | 'inputCost' | 'outputCost' | 'cacheReadCost' | 'cacheWriteCost' | 'contextLimit' | 'outputLimit'
+  | 'releaseDate' | 'lastUpdated' | 'knowledge';
+export const CHART_FIELDS: ChartField[];
+
+export interface ChartStyle {
+  color?: 'cyan' | 'magenta' | 'yellow' | 'green' | 'blue' | 'red' | 'white' | 'gray';
+  bold?: boolean;
+  dim?: boolean;
+  inverse?: boolean;
+  underline?: boolean;
+}
+
+export interface ChartOptions {
+  /** Log scale for numeric axes; values <= 0 are left out */
+  log?: boolean;
+  /** Columns available, including the axis labels (default 80) */
+  width?: number;
+  /** modelKey() of a model to draw inverted and label */
+  highlight?: string | null;
+  /** Turns a run of text into output; defaults to ANSI colours via chalk */
+  paint?: (text: string, style?: ChartStyle) => string;
+}
+
+/** Scatter of `y` against `x`, coloured by provider, with outliers from the trend labelled. */
+export function renderScatter(models: Model[], options?: ChartOptions & { x?: ChartField; y?: ChartField; height?: number }): string;
+/** Horizontal bars of one field per model, largest first. */
+export function renderBars(models: Model[], options?: ChartOptions & { field?: ChartField }): string;
+
+// Model details
+
+/**
+ * The blessed Details pane layout, as printed by `get`. `priceChange` is the model's entry in
+ * lastPriceChanges(); `group` lists every provider's offering when it has several.
+ */
+export function formatModelDetail(model: Model, options?: {
+  paint?: (text: string, style?: ChartStyle) => string;
+  priceChange?: { at: number; changes: HistoryEvent['changes'] } | null;
+  group?: ModelGroup | null;
+  now?: number;
+}): string;
+/** A field by name or alias, then dotted keys into lists and objects ("modalitiesInput.0"); undefined when absent. */
+export function modelField(model: Model, path: string): unknown;
+
+// Recommendations
+
+export type RecommendCriterion = 'cost' | 'context' | 'output' | 'recency';
+export type RecommendWeights = Record<RecommendCriterion, number>;
+
+export interface Recommendation {
+  model: Model;
+  /** Weighted mean of `scores`, 0..100 */
+  score: number;
+  /** Each weighted criterion scaled 0..1 across the candidates (1 = best, 0 = no value) */
+  scores: Partial<RecommendWeights>;
+  /** The two criteria contributing most, e.g. "cheapest ($0.4 in / $1.6 out), largest context (1M)" */
+  reason: string;
+}
+
+export const RECOMMEND_CRITERIA: RecommendCriterion[];
+/** cost=1, context=1, output=0, recency=1 */
+export const DEFAULT_WEIGHTS: RecommendWeights;
+/** "cost=2,context=1" to weights; criteria left out weigh 0. Throws on unknown criteria or all-zero weights. */
+export function parseWeights(spec: string): RecommendWeights;
+/** Models no other model beats on blended price, context and output limit together. */
+export function paretoFrontier(models: Model[]): Model[];
+/** Best first; with `pareto`, only the frontier is ranked. */
+export function recommendModels(models: Model[], options?: { weights?: Partial<RecommendWeights>; pareto?: boolean }): Recommendation[];
+/** The JSON rows of `recommend --json`: each model with a `recommendation` (rank, score, scores, reason). */
+export function recommendRecords(ranked: Recommendation[]): (Model & {
+  recommendation: { rank: number; score: number; scores: Partial<RecommendWeights>; reason: string };
+})[];
+
+// REST server
+
+export interface CatalogueServerOptions extends CatalogueOptions {
+  /** Reload the catalogue once it is this old, e.g. "15m" (default: the cache TTL); reloads revalidate with the ETag */
+  refreshInterval?: string;
+}
+
+export class HttpError extends Error {
+  readonly status: number;
+  constructor(status: number, message: string);
+}
+
+/** The `serve` API as an http.Server that is not listening yet; call listen() on it. */
+export function createCatalogueServer(options?: CatalogueServerOptions): Promise<Server>;
+
+// MCP server
+
+export interface JsonRpcMessage {
+  jsonrpc: '2.0';
+  id?: string | number | null;
+  method?: string;
+  params?: any;
+  result?: any;
+  error?: { code: number; message: string };
+}
+
+/** Handle one parsed MCP (JSON-RPC) message; resolves to the response, or null for notifications. */
+export function createMcpHandler(options?: CatalogueOptions): (message: JsonRpcMessage) => Promise<JsonRpcMessage | null>;
+/** Serve MCP as newline-delimited JSON-RPC over the given streams (stdio by default) until input ends. */
+export function runMcpServer(options?: CatalogueOptions & {
+  input?: NodeJS.ReadableStream;
+  output?: NodeJS.WritableStream;
+}): Promise<void>;
+
+// Config & presets
+
+/** A saved filter state: filterModels criteria plus a search term and a --sort spec. */
+export interface Preset extends FilterCriteria {
+  search?: string | null;
+  sort?: string | null;
+}
+
+/** CONFIG_FILE contents; defaults apply to the CLI and both interactive UIs. */
+export interface Config {
+  /** Interactive mode used when no output flags are given */
+  ui?: 'auto' | 'blessed' | 'table';
+  /** Default --sort spec */
+  sort?: string;
+  /** Table mode rows per page; PageUp/PageDown step in the TUI */
+  pageSize?: number;
+  presets: Record<string, Preset>;
+  /** Starred models as "providerId/id" keys, in starred order */
+  favorites: string[];
+  [key: string]: unknown;
+}
+
+/** $XDG_CONFIG_HOME/models-dev/config.json (~/.config/models-dev/config.json) */
+export const CONFIG_FILE: string;
+/** Read and check CONFIG_FILE; a missing file is an empty config. */
+export function loadConfig(): Promise<Config>;
+/** A named preset, checked and normalized. Throws when unknown or invalid. */
+export function getPreset(config: Pick<Config, 'presets'>, name: string): Preset;
+/** Add or replace a preset in CONFIG_FILE, leaving the rest of the file as is; resolves to what was stored. */
+export function savePreset(name: string, preset: Preset): Promise<Preset>;
+/** Star or unstar a model ("providerId/id") in CONFIG_FILE; resolves to true when it is now a favorite. */
+export function toggleFavorite(key: string): Promise<boolean>;
+/** Favorite models found in the catalogue, in starred order, and the keys that are not. */
+export function resolveFavorites(models: Model[], favorites?: string[]): { models: Model[]; missing: string[] };
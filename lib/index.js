@@ -0,0 +1,39 @@
+// Public library API. Importing this module has no side effects; the CLI lives in cli.js.
+//
+//   import { fetchCatalogue, filterModels, applySort, formatModels } from '@kud/models-dev-cli';
+//
+//   const models = await fetchCatalogue({ ttl: '6h' });
+//   const picks = applySort(filterModels(models, { tool: true, where: 'ctx>=128k' }), 'inputCost');
+//   console.log(formatModels(picks, 'csv', ['id', 'inputCost']));
+//
+// Types for every export are in index.d.ts.
+export {
+  API_URL, CACHE_FILE, OVERLAY_FILE, DEFAULT_CACHE_TTL, DEFAULT_TIMEOUT, DEFAULT_RETRIES, parseDuration,
+  loadRawCatalogue, loadCatalogue, fetchCatalogue, normalizeModel, normalizeCatalogue,
+  modelKey, listProviders, ModelRefError, resolveModelRef
+} from './catalogue.js';
+export { NetworkError } from './network.js';
+export {
+  FilterSyntaxError, filterFieldDefs, compileFilter, filterModels, applyFilters, resolveField
+} from './filter.js';
+export { compareByField, parseSort, applySort } from './sort.js';
+export { SEARCH_PREFIXES, searchModels, highlightText } from './search.js';
+export {
+  OUTPUT_FORMATS, tableColumns, formatModels, formatTable, formatCompact, formatCompare
+} from './format.js';
+export { CHART_FIELDS, renderScatter, renderBars } from './chart.js';
+export { formatModelDetail, modelField } from './detail.js';
+export { saveSnapshot, loadSnapshot, diffCatalogues, formatDiffMarkdown } from './diff.js';
+export { HISTORY_FILE, HISTORY_FIELDS, historyEvents, readHistory, lastPriceChanges } from './history.js';
+export { parseJsonPath, extractReferences, unmetCriteria, validateReferences, validateFiles } from './validate.js';
+export { parseTokenCount, priceWorkload, rankByWorkload, costRecords } from './cost.js';
+export {
+  RECOMMEND_CRITERIA, DEFAULT_WEIGHTS, parseWeights, paretoFrontier, recommendModels, recommendRecords
+} from './recommend.js';
+export { summarizeProviders } from './providers.js';
+export { canonicalModelId, groupModels, groupRecords } from './group.js';
+export { STATS_GROUPS, catalogueStats, formatStatsMarkdown } from './stats.js';
+export { SNIPPET_TARGETS, buildSnippet } from './snippet.js';
+export { createCatalogueServer, HttpError } from './server.js';
+export { createMcpHandler, runMcpServer } from './mcp.js';
+export { CONFIG_FILE, loadConfig, getPreset, savePreset, toggleFavorite, resolveFavorites } from './config.js';
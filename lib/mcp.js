@@ -0,0 +1,221 @@
+// Model Context Protocol server over stdio (`models-dev mcp`)
+// Newline-delimited JSON-RPC 2.0 on stdin/stdout; anything else (warnings) goes to stderr.
+// Tool results are the normalized model records, serialized as JSON text content.
+import readline from 'readline';
+import { createRequire } from 'module';
+import { DEFAULT_CACHE_TTL, loadCatalogue, modelKey, parseDuration, resolveModelRef } from './catalogue.js';
+import { applyFilters, parseFilterNumber, resolveField } from './filter.js';
+import { applySort } from './sort.js';
+import { bestIndexes, tableColumns } from './format.js';
+import { summarizeProviders } from './providers.js';
+
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const DEFAULT_LIMIT = 50;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+const flag = (description) => ({ type: 'boolean', description: `${description}; false excludes them, omit for any` });
+const stringList = (description) => ({ type: 'array', items: { type: 'string' }, description });
+
+// Argument names are the filterModels criteria keys
+const filterProperties = {
+  search: { type: 'string', description: 'Ranked fuzzy search over name, id, provider and modalities; "provider:groq" limits a term to a field, "quoted" text matches exactly' },
+  provider: { type: 'string', description: 'Provider id or name, e.g. "openai"' },
+  tool: flag('true: only models with tool calling'),
+  reasoning: flag('true: only reasoning models'),
+  openWeights: flag('true: only open-weights models'),
+  temperature: flag('true: only models with adjustable temperature'),
+  minContext: { type: 'number', description: 'Minimum context window in tokens' },
+  maxInputCost: { type: 'number', description: 'Maximum input price, USD per 1M tokens' },
+  maxOutputCost: { type: 'number', description: 'Maximum output price, USD per 1M tokens' },
+  modalitiesInput: stringList('Required input modalities, e.g. ["image", "pdf"]'),
+  modalitiesOutput: stringList('Required output modalities'),
+  releasedAfter: { type: 'string', description: 'Released on or after YYYY[-MM[-DD]]' },
+  knowledgeAfter: { type: 'string', description: 'Knowledge cutoff on or after YYYY[-MM[-DD]]' },
+  where: { type: 'string', description: 'Filter expression, e.g. "tool and ctx>=200k and in$<3"' }
+};
+
+const tools = [
+  {
+    name: 'search_models',
+    description: 'Find models in the models.dev catalogue matching capability, context and price filters. Prices are USD per 1M tokens.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...filterProperties,
+        sort: { type: 'string', description: 'Field with optional direction, e.g. "inputCost", "contextLimit:desc"' },
+        limit: { type: 'integer', minimum: 1, description: `Maximum models to return (default ${DEFAULT_LIMIT})` },
+        fields: stringList('Only return these fields, e.g. ["providerId", "id", "inputCost"]')
+      }
+    }
+  },
+  {
+    name: 'get_model',
+    description: 'Get one model by "providerId/modelId" (a bare model id works when unique).',
+    inputSchema: {
+      type: 'object',
+      properties: { model: { type: 'string', description: 'e.g. "anthropic/claude-sonnet-4-20250514"' } },
+      required: ['model']
+    }
+  },
+  {
+    name: 'compare_models',
+    description: 'Compare models side by side. Returns the models and, per field, which of them has the best value (cheapest, largest limit, newest).',
+    inputSchema: {
+      type: 'object',
+      properties: { models: { ...stringList('Two or more "providerId/modelId" references'), minItems: 2 } },
+      required: ['models']
+    }
+  },
+  {
+    name: 'list_providers',
+    description: 'List providers with their ids, names, API key env vars, npm package, base URL, docs link, model counts, capability coverage (models with each capability) and price and context ranges.',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+// Argument checks: tool input comes from a model, so mistakes are reported back to it as tool
+// errors (isError) it can correct, rather than guessed at
+const invalid = (message) => { throw new Error(message); };
+const optional = (args, key, check) => args[key] == null ? undefined : check(args[key], key);
+const asBoolean = (v, key) => typeof v === 'boolean' ? v : invalid(`${key} must be a boolean`);
+const asString = (v, key) => typeof v === 'string' ? v : invalid(`${key} must be a string`);
+const asNumber = (v, key) => {
+  const n = typeof v === 'number' ? v : typeof v === 'string' ? parseFilterNumber(v.trim()) : null;
+  return Number.isFinite(n) ? n : invalid(`${key} must be a number`);
+};
+const asLimit = (v, key) => Number.isInteger(v) && v > 0 ? v : invalid(`${key} must be a positive integer`);
+const asStringList = (v, key) => Array.isArray(v) && v.every(x => typeof x === 'string') ? v : invalid(`${key} must be an array of strings`);
+
+const criteriaFromArgs = (args) => ({
+  search: optional(args, 'search', asString),
+  provider: optional(args, 'provider', asString),
+  tool: optional(args, 'tool', asBoolean),
+  reasoning: optional(args, 'reasoning', asBoolean),
+  openWeights: optional(args, 'openWeights', asBoolean),
+  temperature: optional(args, 'temperature', asBoolean),
+  minContext: optional(args, 'minContext', asNumber),
+  maxInputCost: optional(args, 'maxInputCost', asNumber),
+  maxOutputCost: optional(args, 'maxOutputCost', asNumber),
+  modalitiesInput: optional(args, 'modalitiesInput', asStringList),
+  modalitiesOutput: optional(args, 'modalitiesOutput', asStringList),
+  releasedAfter: optional(args, 'releasedAfter', asString),
+  knowledgeAfter: optional(args, 'knowledgeAfter', asString),
+  where: optional(args, 'where', asString)
+});
+
+const toolHandlers = {
+  search_models: (models, args) => {
+    const limit = optional(args, 'limit', asLimit) ?? DEFAULT_LIMIT;
+    const fields = optional(args, 'fields', asStringList)?.map(name => resolveField(name) ?? invalid(`Unknown field: ${name}`));
+    const matches = applySort(applyFilters(models, criteriaFromArgs(args)), optional(args, 'sort', asString));
+    const records = matches.slice(0, limit).map(m => fields ? Object.fromEntries(fields.map(f => [f, m[f] ?? null])) : m);
+    return { total: matches.length, models: records };
+  },
+  get_model: (models, args) => resolveModelRef(models, asString(args.model, 'model')),
+  compare_models: (models, args) => {
+    const picked = asStringList(args.models, 'models').map(ref => resolveModelRef(models, ref));
+    const best = {};
+    for (const col of tableColumns) {
+      const winners = bestIndexes(picked, col.key, col.best);
+      if (winners.size) best[col.key] = [...winners].map(i => modelKey(picked[i]));
+    }
+    return { models: picked, best };
+  },
+  list_providers: (models) => summarizeProviders(models)
+};
+
+// Returns a handler taking one parsed JSON-RPC message and resolving to the response object,
+// or null for notifications. The catalogue is loaded on first use and reloaded after the TTL.
+const createMcpHandler = (cacheOpts = {}) => {
+  const maxAge = parseDuration(cacheOpts.ttl ?? process.env.MODELS_DEV_CACHE_TTL ?? DEFAULT_CACHE_TTL);
+  let loading = null; // shared by concurrent calls
+  let loadedAt = 0;
+  const models = async () => {
+    if (!loading || Date.now() - loadedAt > maxAge) {
+      loadedAt = Date.now();
+      loading = loadCatalogue(cacheOpts).catch((e) => { loading = null; throw e; });
+    }
+    return (await loading).models;
+  };
+
+  const callTool = async ({ name, arguments: args = {} } = {}) => {
+    const handler = toolHandlers[name];
+    if (!handler) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+    try {
+      const result = handler(await models(), args ?? {});
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (e) {
+      // Bad arguments or filters, unknown models, network trouble: report to the agent as a tool error
+      return { content: [{ type: 'text', text: e.message }], isError: true };
+    }
+  };
+
+  const methods = {
+    initialize: ({ protocolVersion } = {}) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: 'models-dev', version: pkg.version }
+    }),
+    ping: () => ({}),
+    'tools/list': () => ({ tools }),
+    'tools/call': callTool
+  };
+
+  const rpcError = (id, code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+  return async (message) => {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return rpcError(null, INVALID_REQUEST, 'Invalid JSON-RPC message');
+    }
+    if (typeof message.method !== 'string') return null; // a response; this server sends no requests
+    if (!('id' in message)) return null; // notifications (initialized, cancelled) need no reply
+    const method = methods[message.method];
+    if (!method) return rpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    try {
+      return { jsonrpc: '2.0', id: message.id, result: await method(message.params) };
+    } catch (e) {
+      return rpcError(message.id, e instanceof RpcError ? e.code : INTERNAL_ERROR, e.message);
+    }
+  };
+};
+
+// Serve MCP over a pair of streams (stdio by default) until the input ends
+const runMcpServer = ({ input = process.stdin, output = process.stdout, ...cacheOpts } = {}) => {
+  const handle = createMcpHandler(cacheOpts);
+  const send = (response) => { if (response) output.write(JSON.stringify(response) + '\n'); };
+  const pending = new Set();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    const task = handle(message).then(send);
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  });
+  return new Promise(resolve => lines.on('close', () => Promise.all(pending).then(() => resolve())));
+};
+
+export { createMcpHandler, runMcpServer };
@@ -0,0 +1,74 @@
+// Per-provider summaries (`providers` command, /providers, list_providers)
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+// Capabilities counted per provider, with their table headings
+const coverageFields = [
+  ['tool', 'Tool'],
+  ['reasoning', 'Reason'],
+  ['attachment', 'Attach'],
+  ['openWeights', 'Open']
+];
+
+// { min, max } over the models that have a value, or null when none do
+const range = (models, key) => {
+  const values = models.map(m => m[key]).filter(v => v != null);
+  return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+};
+
+// One record per provider, by id: its metadata from api.json, model count, how many models
+// have each capability, and price and context ranges
+const summarizeProviders = (models) => {
+  const byId = new Map();
+  for (const m of models) {
+    if (!byId.has(m.providerId)) byId.set(m.providerId, []);
+    byId.get(m.providerId).push(m);
+  }
+  return [...byId.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([id, list]) => ({
+      id,
+      name: list[0].provider,
+      env: list[0].providerEnv ?? [],
+      npm: list[0].providerNpm ?? null,
+      api: list[0].providerApi ?? null,
+      doc: list[0].providerDoc ?? null,
+      models: list.length,
+      coverage: Object.fromEntries(coverageFields.map(([key]) => [key, list.filter(m => m[key]).length])),
+      inputCost: range(list, 'inputCost'),
+      outputCost: range(list, 'outputCost'),
+      contextLimit: range(list, 'contextLimit')
+    }));
+};
+
+const fmtRange = (r, unit = '') => {
+  if (!r) return '-';
+  return r.min === r.max ? `${unit}${r.min}` : `${unit}${r.min}–${unit}${r.max}`;
+};
+
+// Coverage as a percentage, dimmed when no model has the capability
+const fmtShare = (count, total) => {
+  const text = `${Math.round(count / total * 100)}%`;
+  return count ? text : chalk.gray(text);
+};
+
+const formatProvidersTable = (summaries) => {
+  const table = new Table({
+    head: ['Provider', 'ID', 'Models', ...coverageFields.map(([, head]) => head), 'In $', 'Out $', 'Ctx', 'Env']
+  });
+  for (const p of summaries) {
+    table.push([
+      p.name,
+      p.id,
+      p.models,
+      ...coverageFields.map(([key]) => fmtShare(p.coverage[key], p.models)),
+      fmtRange(p.inputCost, '$'),
+      fmtRange(p.outputCost, '$'),
+      fmtRange(p.contextLimit),
+      p.env.join('\n') || '-'
+    ]);
+  }
+  return table.toString();
+};
+
+export { summarizeProviders, formatProvidersTable };
@@ -0,0 +1,130 @@
+// Shortlists: score the models that pass the filters on weighted criteria, optionally after
+// dropping everything off the price / context / output-limit Pareto frontier.
+//
+// Each criterion is scaled to 0..1 across the candidates (1 = best of them); costs and limits
+// on a log scale, since they span orders of magnitude. A model with no value for a criterion
+// scores 0 on it. The score is the weighted mean, 0..100.
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+// Input and output prices blended 3:1, the usual read-heavy mix
+const blendedCost = (m) => m.inputCost == null || m.outputCost == null ? null : (3 * m.inputCost + m.outputCost) / 4;
+const releaseTime = (m) => m.releaseDate ? Date.parse(m.releaseDate) || null : null;
+
+const fmtTokens = (n) => n >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${Math.round(n / 1e3)}k` : String(n);
+
+// value: raw number, higher = better after `dir`; log: scale logarithmically
+const criteria = {
+  cost: { value: blendedCost, dir: -1, log: true, best: 'cheapest', describe: m => `$${m.inputCost} in / $${m.outputCost} out` },
+  context: { value: m => m.contextLimit, dir: 1, log: true, best: 'largest context', describe: m => fmtTokens(m.contextLimit) },
+  output: { value: m => m.outputLimit, dir: 1, log: true, best: 'largest output', describe: m => fmtTokens(m.outputLimit) },
+  recency: { value: releaseTime, dir: 1, log: false, best: 'newest', describe: m => m.releaseDate }
+};
+
+const RECOMMEND_CRITERIA = Object.keys(criteria);
+const DEFAULT_WEIGHTS = { cost: 1, context: 1, output: 0, recency: 1 };
+
+// "cost=2,context=1" → { cost: 2, context: 1, output: 0, recency: 0 }; criteria left out weigh 0
+const parseWeights = (spec) => {
+  const weights = Object.fromEntries(RECOMMEND_CRITERIA.map(c => [c, 0]));
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = /^([a-z]+)\s*=\s*(\d+(?:\.\d+)?)$/i.exec(part);
+    if (!match) throw new Error(`Invalid weight: ${part} (expected e.g. cost=2,context=1)`);
+    const name = match[1].toLowerCase();
+    if (!criteria[name]) throw new Error(`Unknown criterion: ${name} (criteria: ${RECOMMEND_CRITERIA.join(', ')})`);
+    weights[name] = Number(match[2]);
+  }
+  if (!Object.values(weights).some(w => w > 0)) throw new Error('At least one weight must be above 0');
+  return weights;
+};
+
+const ordinal = (n) => n === 1 ? '' : `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 100 > 10 && n % 100 < 14 ? 0 : n % 10] ?? 'th'} `;
+
+// Models that no other model beats on price, context and output limit together: at least as
+// good on all three and better on one. Missing values count as the worst.
+const paretoFrontier = (models) => {
+  const point = (m) => [-(blendedCost(m) ?? Infinity), m.contextLimit ?? 0, m.outputLimit ?? 0];
+  const points = models.map(point);
+  return models.filter((_, i) => !points.some((other, j) =>
+    j !== i && other.every((v, k) => v >= points[i][k]) && other.some((v, k) => v > points[i][k])));
+};
+
+// Ranked shortlist: [{ model, score, scores, reason }], best first
+const recommendModels = (models, { weights = DEFAULT_WEIGHTS, pareto = false } = {}) => {
+  const candidates = pareto ? paretoFrontier(models) : models;
+  const used = RECOMMEND_CRITERIA.filter(c => weights[c] > 0);
+  const totalWeight = used.reduce((sum, c) => sum + weights[c], 0);
+
+  // Per criterion: a 0..1 scaler and each model's rank among the candidates with a value
+  const scales = Object.fromEntries(used.map(c => {
+    const { value, dir, log } = criteria[c];
+    const scaled = (m) => {
+      const v = value(m);
+      return v == null ? null : dir * (log ? Math.log1p(v) : v);
+    };
+    const values = candidates.map(scaled).filter(v => v != null);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const sorted = [...values].sort((a, b) => b - a);
+    return [c, {
+      score: (m) => { const v = scaled(m); return v == null ? 0 : max === min ? 1 : (v - min) / (max - min); },
+      rank: (m) => { const v = scaled(m); return v == null ? null : sorted.indexOf(v) + 1; }
+    }];
+  }));
+
+  return candidates
+    .map(m => {
+      const scores = Object.fromEntries(used.map(c => [c, scales[c].score(m)]));
+      const score = used.reduce((sum, c) => sum + weights[c] * scores[c], 0) / totalWeight * 100;
+      // The reason names the two criteria contributing most to the score
+      const strongest = [...used]
+        .filter(c => scales[c].rank(m) != null)
+        .sort((a, b) => weights[b] * scores[b] - weights[a] * scores[a])
+        .slice(0, 2)
+        .map(c => `${ordinal(scales[c].rank(m))}${criteria[c].best} (${criteria[c].describe(m)})`);
+      const unknown = used.filter(c => scales[c].rank(m) == null);
+      const reason = [
+        strongest.join(', '),
+        unknown.length ? `no ${unknown.join('/')} data` : ''
+      ].filter(Boolean).join('; ');
+      return { model: m, score, scores, reason };
+    })
+    .sort((a, b) => b.score - a.score || (blendedCost(a.model) ?? Infinity) - (blendedCost(b.model) ?? Infinity));
+};
+
+// JSON shape for `recommend --json`
+const recommendRecords = (ranked) => ranked.map((r, i) => ({
+  ...r.model,
+  recommendation: {
+    rank: i + 1,
+    score: Math.round(r.score * 10) / 10,
+    scores: Object.fromEntries(Object.entries(r.scores).map(([c, v]) => [c, Math.round(v * 1000) / 1000])),
+    reason: r.reason
+  }
+}));
+
+// `frontier` (with --pareto) is the frontier size out of `considered` matching models
+const formatRecommendTable = (ranked, { considered, frontier } = {}) => {
+  const table = new Table({ head: ['#', 'Provider', 'Model ID', 'Score', 'In $', 'Out $', 'Ctx', 'Out Lim', 'Release', 'Why'] });
+  ranked.forEach((r, i) => {
+    const m = r.model;
+    table.push([
+      String(i + 1),
+      m.provider,
+      m.id,
+      chalk.green(Math.round(r.score)),
+      m.inputCost != null ? `$${m.inputCost}` : '-',
+      m.outputCost != null ? `$${m.outputCost}` : '-',
+      m.contextLimit != null ? fmtTokens(m.contextLimit) : '-',
+      m.outputLimit != null ? fmtTokens(m.outputLimit) : '-',
+      m.releaseDate ?? '-',
+      r.reason
+    ]);
+  });
+  if (frontier == null) return table.toString();
+  return `${table.toString()}\n${chalk.gray(`Pareto frontier: ${frontier} of ${considered} matching models are not beaten on price, context and output limit together.`)}`;
+};
+
+export {
+  RECOMMEND_CRITERIA, DEFAULT_WEIGHTS, parseWeights, paretoFrontier, recommendModels, recommendRecords, formatRecommendTable
+};
@@ -0,0 +1,110 @@
+// Ranked search, shared by --search, both TUIs, the REST API and MCP: fuzzy matching over
+// weighted fields (name and id first, then provider, then modalities), best match first.
+//
+//   sonnet                 fuzzy, any field
+//   provider:groq llama    every term must match; a prefix limits a term to some fields
+//   "gpt-4.1"              quoted: the exact text (case-insensitive), no fuzziness
+//   openrouter/anthropic   provider id and model id together, the way configs write them
+import Fuse from 'fuse.js';
+
+const SEARCH_KEYS = [
+  { name: 'name', weight: 3 },
+  { name: 'id', weight: 3 },
+  { name: 'ref', weight: 3, getFn: (m) => `${m.providerId}/${m.id}` },
+  { name: 'provider', weight: 1.5 },
+  { name: 'providerId', weight: 1.5 },
+  { name: 'modalitiesInput', weight: 0.5 },
+  { name: 'modalitiesOutput', weight: 0.5 }
+];
+
+// field: prefixes and the keys each one searches
+const prefixKeys = {
+  provider: ['provider', 'providerId'],
+  id: ['id', 'ref'],
+  name: ['name'],
+  modality: ['modalitiesInput', 'modalitiesOutput']
+};
+const SEARCH_PREFIXES = Object.keys(prefixKeys);
+
+// Per field, how fuzzy a term may be (0 exact .. 1 anything): one typo in a short word, but not
+// the scattered letters a long id offers for almost any term
+const THRESHOLD = 0.3;
+
+// 'provider:groq "gpt 4" x' → [{ keys, value, exact }]. Unknown prefixes are part of the term,
+// since ids contain colons (meta-llama/llama-3.3-70b-instruct:free). Fuse reads `|` as "or"
+// even inside quotes, so a term is cut there and each piece must match on its own.
+const parseSearch = (query) => {
+  const terms = [];
+  for (const [, prefix, quoted, bare] of String(query).matchAll(/(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi)) {
+    const keys = prefix && prefixKeys[prefix.toLowerCase()];
+    const text = quoted ?? (prefix && !keys ? `${prefix}:${bare}` : bare);
+    for (const piece of text.split('|')) {
+      const value = piece.trim();
+      if (value) terms.push({ keys: keys ?? SEARCH_KEYS.map(k => k.name), value, exact: quoted != null });
+    }
+  }
+  return terms;
+};
+
+// A term as a Fuse extended-search token. Quoting keeps `!gpt`, `^x`, `=x`, `'x` and `x$`
+// literal instead of operators: "text" is a fuzzy match, '"text" an exact substring.
+const searchToken = ({ value, exact }) => `${exact ? "'" : ''}"${value}"`;
+
+// Fuse reports every matched character; a fuzzy match is mostly runs, plus single characters
+// that read as noise when highlighted, so those go unless nothing else matched. Matches in
+// `providerId/id` are split back onto providerId and id.
+const matchRanges = (fuseMatches, model) => {
+  const matches = {};
+  const add = (key, ranges) => {
+    const seen = new Set((matches[key] ?? []).map(String));
+    const fresh = ranges.filter(range => !seen.has(String(range)));
+    if (fresh.length) matches[key] = [...(matches[key] ?? []), ...fresh];
+  };
+  for (const { key, indices } of fuseMatches) {
+    const runs = indices.filter(([start, end]) => end > start);
+    const ranges = runs.length ? runs : indices;
+    if (key !== 'ref') {
+      add(key, ranges);
+      continue;
+    }
+    const slash = model.providerId.length;
+    add('providerId', ranges.filter(([start]) => start < slash).map(([start, end]) => [start, Math.min(end, slash - 1)]));
+    add('id', ranges.filter(([, end]) => end > slash).map(([start, end]) => [Math.max(start - slash - 1, 0), end - slash - 1]));
+  }
+  return matches;
+};
+
+// [{ model, score, matches }], best first. score: 0..1, 1 for an exact hit; matches: field =>
+// [start, end] ranges (inclusive) of the matched characters, for highlighting.
+const searchModels = (models, query) => {
+  const terms = parseSearch(query);
+  if (!terms.length) return models.map(model => ({ model, score: 1, matches: {} }));
+  const fuse = new Fuse(models, {
+    keys: SEARCH_KEYS,
+    threshold: THRESHOLD,
+    ignoreLocation: true,
+    includeScore: true,
+    includeMatches: true,
+    useExtendedSearch: true
+  });
+  const expression = { $and: terms.map(t => ({ $or: t.keys.map(k => ({ [k]: searchToken(t) })) })) };
+  return fuse.search(expression)
+    .map(r => ({ model: r.item, score: Math.round((1 - r.score) * 1000) / 1000, matches: matchRanges(r.matches, r.item) }));
+};
+
+// `text` with the ranges passed through `mark` and the rest through `plain`
+const highlightText = (text, ranges = [], { mark, plain = (s) => s }) => {
+  const hit = Array(text.length).fill(false);
+  for (const [start, end] of ranges) for (let i = start; i <= end && i < text.length; i++) hit[i] = true;
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    let j = i;
+    while (j < text.length && hit[j] === hit[i]) j++;
+    out += hit[i] ? mark(text.slice(i, j)) : plain(text.slice(i, j));
+    i = j;
+  }
+  return out;
+};
+
+export { SEARCH_KEYS, SEARCH_PREFIXES, parseSearch, searchModels, highlightText };
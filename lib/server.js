@@ -0,0 +1,231 @@
+// Local REST API over the catalogue (`models-dev serve`)
+//
+//   GET /                          catalogue metadata and the endpoint list
+//   GET /models?tool=true&sort=... filtered, sorted models (same criteria as the CLI flags)
+//   GET /models/:providerId/:id    one model (ids may contain slashes)
+//   GET /providers                 per-provider metadata, coverage and price ranges (filterable)
+//   GET /cost?input=2M&output=300k workload pricing, cheapest first (accepts the /models filters)
+//
+// Responses are JSON with a strong ETag; a matching If-None-Match gets 304.
+import http from 'http';
+import { createHash } from 'crypto';
+import chalk from 'chalk';
+import { DEFAULT_CACHE_TTL, loadCatalogue, parseDuration } from './catalogue.js';
+import { FilterSyntaxError, applyFilters, parseFilterBool, parseFilterNumber, resolveField } from './filter.js';
+import { applySort } from './sort.js';
+import { costRecords, parseTokenCount, rankByWorkload } from './cost.js';
+import { summarizeProviders } from './providers.js';
+
+const ENDPOINTS = ['/models', '/models/:providerId/:id', '/providers', '/cost'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+const badRequest = (message) => new HttpError(400, message);
+
+// Query parameter readers: absent => undefined, malformed => 400
+const boolParam = (params, name) => {
+  if (!params.has(name)) return undefined;
+  const value = parseFilterBool(params.get(name));
+  if (value === null) throw badRequest(`${name} must be true or false`);
+  return value;
+};
+const numberParam = (params, name) => {
+  if (!params.has(name)) return undefined;
+  const value = parseFilterNumber(params.get(name).trim());
+  if (value === null) throw badRequest(`${name} must be a number (k/M suffixes allowed)`);
+  return value;
+};
+const intParam = (params, name) => {
+  if (!params.has(name)) return undefined;
+  const value = Number(params.get(name));
+  if (!Number.isInteger(value) || value < 0) throw badRequest(`${name} must be a non-negative integer`);
+  return value;
+};
+const listParam = (params, name) => params.getAll(name).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+const dateParam = (params, name) => {
+  const value = params.get(name) || undefined;
+  if (value && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) throw badRequest(`${name} must be YYYY, YYYY-MM or YYYY-MM-DD`);
+  return value;
+};
+const tokenParam = (params, name) => {
+  if (!params.has(name)) return 0;
+  try { return parseTokenCount(params.get(name)); } catch (e) { throw badRequest(e.message); }
+};
+
+// Query string => filterModels criteria; parameter names follow the criteria keys, with the
+// CLI spellings (min-context, open-weights, modality-in) accepted as well
+const criteriaFromQuery = (params) => {
+  const alias = (camel, kebab) => { if (!params.has(camel) && params.has(kebab)) params.set(camel, params.get(kebab)); };
+  alias('minContext', 'min-context');
+  alias('maxInputCost', 'max-input-cost');
+  alias('maxOutputCost', 'max-output-cost');
+  alias('openWeights', 'open-weights');
+  alias('releasedAfter', 'released-after');
+  alias('knowledgeAfter', 'knowledge-after');
+  alias('modalityIn', 'modality-in');
+  alias('modalityOut', 'modality-out');
+  return {
+    search: params.get('search') || undefined,
+    provider: params.get('provider') || undefined,
+    tool: boolParam(params, 'tool'),
+    reasoning: boolParam(params, 'reasoning'),
+    temperature: boolParam(params, 'temperature'),
+    openWeights: boolParam(params, 'openWeights'),
+    minContext: numberParam(params, 'minContext'),
+    maxInputCost: numberParam(params, 'maxInputCost'),
+    maxOutputCost: numberParam(params, 'maxOutputCost'),
+    modalitiesInput: listParam(params, 'modalityIn'),
+    modalitiesOutput: listParam(params, 'modalityOut'),
+    releasedAfter: dateParam(params, 'releasedAfter'),
+    knowledgeAfter: dateParam(params, 'knowledgeAfter'),
+    where: params.get('where') || undefined
+  };
+};
+
+const selectModels = (models, params) => {
+  let list = applyFilters(models, criteriaFromQuery(params));
+  try {
+    list = applySort(list, params.get('sort') || null);
+  } catch (e) {
+    throw badRequest(e.message);
+  }
+  const limit = intParam(params, 'limit');
+  return limit != null ? list.slice(0, limit) : list;
+};
+
+// `fields` picks model fields; `keep` are the endpoint's own keys, which always stay
+const selectFields = (records, params, keep = []) => {
+  const names = listParam(params, 'fields');
+  if (!names.length) return records;
+  const keys = names.map(name => {
+    const key = resolveField(name);
+    if (!key) throw badRequest(`Unknown field: ${name}`);
+    return key;
+  });
+  return records.map(r => Object.fromEntries([...keys, ...keep].map(k => [k, r[k] ?? null])));
+};
+
+const route = (catalogue, url) => {
+  const { models } = catalogue;
+  const params = url.searchParams;
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (!segments.length) {
+    return {
+      fetchedAt: new Date(catalogue.fetchedAt).toISOString(),
+      stale: catalogue.stale,
+      sources: catalogue.sources,
+      models: models.length,
+      endpoints: ENDPOINTS
+    };
+  }
+  const [resource, ...rest] = segments;
+  if (resource === 'models' && !rest.length) return selectFields(selectModels(models, params), params);
+  if (resource === 'models' && rest.length >= 2) {
+    const [providerId, ...idParts] = rest;
+    const id = idParts.join('/');
+    const model = models.find(m => m.providerId === providerId && m.id === id);
+    if (!model) throw new HttpError(404, `Unknown model ${providerId}/${id}`);
+    return model;
+  }
+  if (resource === 'providers' && !rest.length) return summarizeProviders(applyFilters(models, criteriaFromQuery(params)));
+  if (resource === 'cost' && !rest.length) {
+    const workload = {
+      input: tokenParam(params, 'input'),
+      output: tokenParam(params, 'output'),
+      cacheRead: tokenParam(params, 'cacheRead'),
+      cacheWrite: tokenParam(params, 'cacheWrite')
+    };
+    if (!Object.values(workload).some(Boolean)) throw badRequest('Specify a workload, e.g. ?input=2M&output=300k');
+    const requestsPerDay = numberParam(params, 'requestsPerDay');
+    const days = numberParam(params, 'days') ?? 30;
+    const monthlyFactor = requestsPerDay ? requestsPerDay * days : null;
+    let ranked = rankByWorkload(applyFilters(models, criteriaFromQuery(params)), workload);
+    const limit = intParam(params, 'limit');
+    if (limit != null) ranked = ranked.slice(0, limit);
+    return selectFields(costRecords(ranked, { monthlyFactor }), params, ['cost', 'missingPricing']);
+  }
+  throw new HttpError(404, `Not found: ${url.pathname}`);
+};
+
+const send = (req, res, status, payload) => {
+  const body = JSON.stringify(payload);
+  const etag = `"${createHash('sha1').update(body).digest('hex')}"`;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-cache');
+  if (status === 200) {
+    res.setHeader('ETag', etag);
+    if (req.headers['if-none-match']?.split(/\s*,\s*/).includes(etag)) {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+  }
+  res.writeHead(status);
+  res.end(body);
+};
+
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// An http.Server (not yet listening) answering from an in-memory copy of the catalogue that
+// is reloaded once it is `refreshInterval` old (default: the cache TTL). A reload goes through
+// the cache like any other load: a copy still that fresh (another process renewed it) is used
+// as is, an older one is revalidated with its ETag. Failed reloads keep the old copy.
+const createCatalogueServer = async ({ refreshInterval, ...cacheOpts } = {}) => {
+  let catalogue = await loadCatalogue(cacheOpts);
+  const ttl = refreshInterval ?? cacheOpts.ttl ?? process.env.MODELS_DEV_CACHE_TTL ?? DEFAULT_CACHE_TTL;
+  const interval = parseDuration(ttl);
+  if (!(interval > 0)) throw new Error('Refresh interval must be greater than zero');
+
+  // Each reload schedules the next, so a slow one is never overlapped. The next is due when the
+  // copy expires; a copy with no download time to go by (files, a stale fallback) waits a full
+  // interval. setTimeout treats anything past 2^31-1 ms (~24.8 days) as 1 ms, so longer waits
+  // are taken in steps of at most that.
+  let timer = null;
+  let closed = false;
+  const schedule = () => {
+    if (cacheOpts.offline || closed) return;
+    const due = catalogue.fetchedAt + interval - Date.now();
+    timer = setTimeout(reload, Math.min(due > 0 && !catalogue.stale ? due : interval, MAX_TIMER_MS));
+    timer.unref();
+  };
+  const reload = async () => {
+    try {
+      catalogue = await loadCatalogue({ ...cacheOpts, ttl, refresh: false });
+    } catch (e) {
+      console.error(chalk.yellow(`Catalogue refresh failed, keeping data from ${new Date(catalogue.fetchedAt).toISOString()}: ${e.message}`));
+    } finally {
+      schedule();
+    }
+  };
+  schedule();
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      send(req, res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+    try {
+      send(req, res, 200, route(catalogue, new URL(req.url, 'http://localhost')));
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status
+        : e instanceof FilterSyntaxError || e instanceof URIError ? 400
+        : 500;
+      send(req, res, status, { error: e.message });
+    }
+  });
+  server.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+  return server;
+};
+
+export { createCatalogueServer, criteriaFromQuery, HttpError };
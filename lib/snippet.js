@@ -0,0 +1,162 @@
+// Integration snippets for one model (`snippet` command, `n` in the blessed TUI), built from
+// the provider metadata on the normalized record (providerNpm, providerEnv, providerApi).
+// Provider ids are models.dev's; the tables below map them onto each tool's names.
+const SNIPPET_TARGETS = ['ai-sdk', 'litellm', 'opencode', 'curl', 'env'];
+
+// The default provider instance each AI SDK package exports. A package missing here gets a
+// guessed name and a note to check it.
+const aiSdkExports = {
+  '@ai-sdk/openai': 'openai',
+  '@ai-sdk/anthropic': 'anthropic',
+  '@ai-sdk/google': 'google',
+  '@ai-sdk/google-vertex': 'vertex',
+  '@ai-sdk/google-vertex/anthropic': 'vertexAnthropic',
+  '@ai-sdk/amazon-bedrock': 'bedrock',
+  '@ai-sdk/azure': 'azure',
+  '@ai-sdk/groq': 'groq',
+  '@ai-sdk/mistral': 'mistral',
+  '@ai-sdk/deepseek': 'deepseek',
+  '@ai-sdk/xai': 'xai',
+  '@ai-sdk/cohere': 'cohere',
+  '@ai-sdk/togetherai': 'togetherai',
+  '@ai-sdk/fireworks': 'fireworks',
+  '@ai-sdk/perplexity': 'perplexity',
+  '@ai-sdk/cerebras': 'cerebras',
+  '@ai-sdk/deepinfra': 'deepinfra',
+  '@ai-sdk/vercel': 'vercel',
+  '@ai-sdk/gateway': 'gateway',
+  '@openrouter/ai-sdk-provider': 'openrouter',
+  'ollama-ai-provider': 'ollama'
+};
+
+// LiteLLM model prefixes: the models.dev ids it knows as is, then the ones it names differently
+const litellmNative = ['anthropic', 'openai', 'azure', 'groq', 'openrouter', 'mistral', 'deepseek', 'xai', 'cohere', 'perplexity', 'cerebras'];
+const litellmPrefixes = {
+  ...Object.fromEntries(litellmNative.map(id => [id, id])),
+  'amazon-bedrock': 'bedrock',
+  google: 'gemini',
+  'google-vertex': 'vertex_ai',
+  togetherai: 'together_ai',
+  'fireworks-ai': 'fireworks_ai'
+};
+
+// OpenAI-compatible chat completions endpoints for providers whose api.json entry has no `api`
+const chatCompletionsBases = {
+  openai: 'https://api.openai.com/v1',
+  groq: 'https://api.groq.com/openai/v1',
+  mistral: 'https://api.mistral.ai/v1',
+  deepseek: 'https://api.deepseek.com/v1',
+  xai: 'https://api.x.ai/v1',
+  togetherai: 'https://api.together.xyz/v1',
+  'fireworks-ai': 'https://api.fireworks.ai/inference/v1'
+};
+
+const camelCase = (text) => text.replace(/[^a-zA-Z0-9]+(.)/g, (_, c) => c.toUpperCase()).replace(/^[^a-zA-Z]+/, '');
+// '@acme/foo-ai-sdk-provider' → foo, '@acme/ai-sdk-provider' → acme
+const guessExport = (npm) => camelCase(npm.split('/').pop().replace(/-?ai(?:-sdk)?-provider$/, '') || npm.split('/')[0].replace(/^@/, ''));
+const envOf = (m) => m.providerEnv ?? [];
+const apiKeyEnv = (m) => envOf(m).find(e => /KEY|TOKEN/.test(e)) ?? envOf(m)[0];
+const envComment = (m, prefix) => envOf(m).length ? `${prefix} Reads ${envOf(m).join(', ')}\n` : '';
+
+const aiSdk = (m) => {
+  const npm = m.providerNpm;
+  if (!npm) throw new Error(`${m.provider} has no AI SDK package in the catalogue`);
+  const prompt = `const { text } = await generateText({\n  model: MODEL,\n  prompt: 'Hello!'\n});\nconsole.log(text);\n`;
+  if (npm === '@ai-sdk/openai-compatible') {
+    if (!m.providerApi) throw new Error(`${m.provider} uses @ai-sdk/openai-compatible but the catalogue has no API base URL for it`);
+    const key = apiKeyEnv(m);
+    return `// npm install ai ${npm}\n` +
+      `import { generateText } from 'ai';\n` +
+      `import { createOpenAICompatible } from '${npm}';\n\n` +
+      `const ${camelCase(m.providerId)} = createOpenAICompatible({\n` +
+      `  name: '${m.providerId}',\n` +
+      `  baseURL: '${m.providerApi}'${key ? `,\n  apiKey: process.env.${key}` : ''}\n` +
+      `});\n\n` +
+      prompt.replace('MODEL', `${camelCase(m.providerId)}('${m.id}')`);
+  }
+  const known = Object.hasOwn(aiSdkExports, npm);
+  const name = known ? aiSdkExports[npm] : guessExport(npm);
+  return `// npm install ai ${npm}\n` +
+    (known ? '' : `// ${name} is a guess at the package's provider export; check its README\n`) +
+    `import { generateText } from 'ai';\n` +
+    `import { ${name} } from '${npm}';\n\n` +
+    envComment(m, '//') +
+    prompt.replace('MODEL', `${name}('${m.id}')`);
+};
+
+const litellm = (m) => {
+  const prefix = litellmPrefixes[m.providerId] ?? m.providerId;
+  const custom = !litellmPrefixes[m.providerId] && !!m.providerApi;
+  const key = envOf(m).length === 1 ? envOf(m)[0] : null;
+  const lines = [
+    'model_list:',
+    `  - model_name: ${m.id}`,
+    '    litellm_params:',
+    // Providers only reachable through their own base URL go through LiteLLM's OpenAI client
+    `      model: ${custom ? 'openai' : prefix}/${m.id}`,
+    ...(custom ? [`      api_base: ${m.providerApi}`] : []),
+    ...(key ? [`      api_key: os.environ/${key}`] : envOf(m).length ? [`      # credentials from ${envOf(m).join(', ')}`] : [])
+  ];
+  return lines.join('\n') + '\n';
+};
+
+// OpenCode reads models.dev itself, so catalogue models only need the model id; models that
+// came from another source or the overlay also get a provider block describing how to reach them
+const opencode = (m) => {
+  const config = { $schema: 'https://opencode.ai/config.json', model: `${m.providerId}/${m.id}` };
+  if (m.source && m.source !== 'models.dev') {
+    const key = apiKeyEnv(m);
+    config.provider = {
+      [m.providerId]: {
+        name: m.provider,
+        ...(m.providerNpm && { npm: m.providerNpm }),
+        options: {
+          ...(m.providerApi && { baseURL: m.providerApi }),
+          ...(key && { apiKey: `{env:${key}}` })
+        },
+        models: { [m.id]: { name: m.name } }
+      }
+    };
+  }
+  return JSON.stringify(config, null, 2) + '\n';
+};
+
+const curl = (m) => {
+  const key = apiKeyEnv(m);
+  const body = (extra = {}) => JSON.stringify({ model: m.id, ...extra, messages: [{ role: 'user', content: 'Hello!' }] });
+  if (m.providerId === 'anthropic') {
+    return `curl https://api.anthropic.com/v1/messages \\\n` +
+      `  -H "x-api-key: $${key}" \\\n` +
+      `  -H "anthropic-version: 2023-06-01" \\\n` +
+      `  -H "content-type: application/json" \\\n` +
+      `  -d '${body({ max_tokens: 1024 })}'\n`;
+  }
+  if (m.providerId === 'google') {
+    return `curl "https://generativelanguage.googleapis.com/v1beta/models/${m.id}:generateContent" \\\n` +
+      `  -H "x-goog-api-key: $${key}" \\\n` +
+      `  -H "content-type: application/json" \\\n` +
+      `  -d '${JSON.stringify({ contents: [{ parts: [{ text: 'Hello!' }] }] })}'\n`;
+  }
+  const base = m.providerApi ?? chatCompletionsBases[m.providerId];
+  if (!base) throw new Error(`No curl example for ${m.provider}: the catalogue has no API base URL for it`);
+  return `curl ${base.replace(/\/$/, '')}/chat/completions \\\n` +
+    (key ? `  -H "Authorization: Bearer $${key}" \\\n` : '') +
+    `  -H "content-type: application/json" \\\n` +
+    `  -d '${body()}'\n`;
+};
+
+const env = (m) => {
+  if (!envOf(m).length) throw new Error(`${m.provider} lists no env vars in the catalogue`);
+  return `# ${m.provider}${m.providerDoc ? ` (${m.providerDoc})` : ''}\n` + envOf(m).map(e => `${e}=\n`).join('');
+};
+
+const builders = { 'ai-sdk': aiSdk, litellm, opencode, curl, env };
+
+// Snippet text for a normalized model; throws when the catalogue lacks what the target needs
+const buildSnippet = (model, target) => {
+  const build = builders[target];
+  if (!build) throw new Error(`Unknown snippet target: ${target} (targets: ${SNIPPET_TARGETS.join(', ')})`);
+  return build(model);
+};
+
+export { SNIPPET_TARGETS, buildSnippet };
@@ -0,0 +1,50 @@
+// Sorting shared by --sort and both TUIs
+import { resolveField } from './filter.js';
+
+// Nulls always sort last, whatever the direction
+const compareByField = (field, dir = 1) => (a, b) => {
+  const av = a[field];
+  const bv = b[field];
+  if (av == null || bv == null) return av == null ? (bv == null ? 0 : 1) : -1;
+  if (typeof av === 'boolean') return dir * (Number(av) - Number(bv));
+  return typeof av === 'string' ? dir * av.localeCompare(bv) : dir * (av - bv);
+};
+
+// Labelled sort orders offered by table mode (and accepted by --sort)
+const interactiveSortMap = {
+  'Input cost asc': ['inputCost', 1],
+  'Input cost desc': ['inputCost', -1],
+  'Output cost asc': ['outputCost', 1],
+  'Output cost desc': ['outputCost', -1],
+  'Cache read asc': ['cacheReadCost', 1],
+  'Cache read desc': ['cacheReadCost', -1],
+  'Context asc': ['contextLimit', 1],
+  'Context desc': ['contextLimit', -1],
+  'Output limit asc': ['outputLimit', 1],
+  'Output limit desc': ['outputLimit', -1],
+  'Release date new': ['releaseDate', -1],
+  'Release date old': ['releaseDate', 1],
+  'Updated new': ['lastUpdated', -1],
+  'Updated old': ['lastUpdated', 1],
+  'Provider A-Z': ['provider', 1],
+  'Provider Z-A': ['provider', -1]
+};
+
+// --sort takes a field optionally followed by ":asc|desc" or " asc|desc"
+
+const parseSort = (spec) => {
+  const labelled = Object.keys(interactiveSortMap).find(k => k.toLowerCase() === String(spec).trim().toLowerCase());
+  if (labelled) return interactiveSortMap[labelled];
+  const match = /^\s*([^\s:]+)(?:[\s:]+(asc|desc))?\s*$/i.exec(String(spec));
+  const field = match && resolveField(match[1]);
+  if (!field) throw new Error(`Unknown sort field: ${spec} (e.g. inputCost, context:desc, release-date desc)`);
+  return [field, (match[2] || 'asc').toLowerCase() === 'desc' ? -1 : 1];
+};
+
+const applySort = (models, sort) => {
+  if (!sort) return models;
+  const [field, dir] = parseSort(sort);
+  return [...models].sort(compareByField(field, dir));
+};
+
+export { compareByField, interactiveSortMap, parseSort, applySort };
@@ -0,0 +1,108 @@
+// Aggregate views of the catalogue (`stats` command): counts, capability shares and
+// min/median/max prices and context limits, overall or per group
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+// Group keys per model; a model with several input (or output) modalities counts once in each
+const modalityKeys = (list) => list.length ? list : ['unknown'];
+const groupings = {
+  provider: { label: 'Provider', keys: m => [m.provider] },
+  'input-modality': { label: 'Input modality', keys: m => modalityKeys(m.modalitiesInput) },
+  'output-modality': { label: 'Output modality', keys: m => modalityKeys(m.modalitiesOutput) },
+  'release-month': { label: 'Release month', keys: m => [m.releaseDate?.slice(0, 7) ?? 'unknown'] }
+};
+const STATS_GROUPS = Object.keys(groupings);
+
+const shareFields = [
+  ['tool', 'Tool'],
+  ['reasoning', 'Reason'],
+  ['openWeights', 'Open']
+];
+const spreadFields = [
+  ['inputCost', 'In $'],
+  ['outputCost', 'Out $'],
+  ['contextLimit', 'Ctx']
+];
+
+// { min, median, max } over the models that have a value, or null when none do
+const spread = (models, key) => {
+  const values = models.map(m => m[key]).filter(v => v != null).sort((a, b) => a - b);
+  if (!values.length) return null;
+  const mid = Math.floor(values.length / 2);
+  const median = values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+  return { min: values[0], median, max: values[values.length - 1] };
+};
+
+const summarize = (group, models) => ({
+  group,
+  models: models.length,
+  share: Object.fromEntries(shareFields.map(([key]) => [key, models.length ? models.filter(m => m[key]).length / models.length : 0])),
+  ...Object.fromEntries(spreadFields.map(([key]) => [key, spread(models, key)]))
+});
+
+// { by, groups, total }: one summary per group (none without `by`) plus one over every model.
+// Months run in date order; other groups largest first. 'unknown' always goes last.
+const catalogueStats = (models, by = null) => {
+  if (by && !groupings[by]) throw new Error(`Unknown grouping: ${by} (groupings: ${STATS_GROUPS.join(', ')})`);
+  const groups = new Map();
+  if (by) {
+    for (const m of models) {
+      for (const key of groupings[by].keys(m)) {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(m);
+      }
+    }
+  }
+  const order = ([a, listA], [b, listB]) => (a === 'unknown') - (b === 'unknown') ||
+    (by === 'release-month' ? a.localeCompare(b) : listB.length - listA.length || a.localeCompare(b));
+  return {
+    by,
+    groups: [...groups.entries()].sort(order).map(([key, list]) => summarize(key, list)),
+    total: summarize('All', models)
+  };
+};
+
+const pct = (share) => `${Math.round(share * 100)}%`;
+const fmtValue = (key, v) => {
+  if (key === 'contextLimit') return v >= 1e6 ? `${+(v / 1e6).toFixed(1)}M` : v >= 1e3 ? `${Math.round(v / 1e3)}k` : String(v);
+  return `$${+v.toFixed(2)}`;
+};
+const fmtSpread = (key, s) => s ? [s.min, s.median, s.max].map(v => fmtValue(key, v)).join(' / ') : '-';
+
+const statsHead = (stats) => [
+  stats.by ? groupings[stats.by].label : 'Group',
+  'Models',
+  ...shareFields.map(([, head]) => head),
+  ...spreadFields.map(([, head]) => `${head} min / med / max`)
+];
+const statsRow = (s) => [
+  s.group,
+  String(s.models),
+  ...shareFields.map(([key]) => pct(s.share[key])),
+  ...spreadFields.map(([key]) => fmtSpread(key, s[key]))
+];
+
+const formatStatsTable = (stats) => {
+  const table = new Table({ head: statsHead(stats) });
+  for (const s of stats.groups) table.push(statsRow(s));
+  table.push(statsRow(stats.total).map(cell => chalk.bold(cell)));
+  return table.toString();
+};
+
+const mdCell = (v) => String(v).replace(/\|/g, '\\|');
+
+const formatStatsMarkdown = (stats) => {
+  const head = statsHead(stats);
+  return [
+    `## models.dev stats${stats.by ? ` by ${stats.by.replace('-', ' ')}` : ''}`,
+    '',
+    `| ${head.join(' | ')} |`,
+    `| ${head.map((_, i) => i ? '---:' : '---').join(' | ')} |`,
+    ...[...stats.groups, stats.total].map(s => {
+      const row = statsRow(s).map(mdCell);
+      return `| ${s === stats.total ? row.map(c => `**${c}**`).join(' | ') : row.join(' | ')} |`;
+    })
+  ].join('\n');
+};
+
+export { STATS_GROUPS, catalogueStats, formatStatsTable, formatStatsMarkdown };
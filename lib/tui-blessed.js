@@ -0,0 +1,927 @@
+// Full-screen TUI (blessed)
+import { spawn } from 'child_process';
+import { formatAge, loadCatalogue, modelKey } from './catalogue.js';
+import { FilterSyntaxError, compileFilter, filterModels, parseFilterNumber } from './filter.js';
+import { compareByField, parseSort } from './sort.js';
+import { bestIndexes, formatTable } from './format.js';
+import { getPreset, loadConfig, resolveFavorites, savePreset, toggleFavorite } from './config.js';
+import { SNIPPET_TARGETS, buildSnippet } from './snippet.js';
+import { CHART_FIELDS, renderScatter } from './chart.js';
+import { formatModelDetail } from './detail.js';
+import { lastPriceChanges, readHistory } from './history.js';
+import { groupModels } from './group.js';
+import { highlightText, searchModels } from './search.js';
+
+// Open a URL in the default browser; onError gets the reason when no opener can run
+const openUrl = (url, onError) => {
+  const [command, ...args] = process.platform === 'darwin' ? ['open', url]
+    : process.platform === 'win32' ? ['cmd', '/c', 'start', '', url]
+    : ['xdg-open', url];
+  const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+  child.on('error', (e) => onError(e.message));
+  child.unref();
+};
+
+// settings: { pageSize } from the config file, the rows PageUp/PageDown move
+const interactiveBlessedMode = async (cacheOpts, initialFilters = {}, settings = {}) => {
+  let blessed, clipboardy;
+  try {
+    ({ default: blessed } = await import('blessed'));
+    ({ default: clipboardy } = await import('clipboardy'));
+  } catch (e) {
+    throw new Error('Missing blessed dependencies. Install with: npm install blessed clipboardy');
+  }
+
+  let models, fetchedAt, stale;
+  try {
+    ({ models, fetchedAt, stale } = await loadCatalogue(cacheOpts));
+  } catch (e) {
+    // Network errors carry their own advice (proxy, CA bundle, timeout)
+    console.error(e.message);
+    process.exitCode = 1;
+    return;
+  }
+  let config;
+  try {
+    config = await loadConfig();
+  } catch (e) {
+    // A malformed config file is the user's to fix, not a reason to fall back to table mode
+    console.error(e.message);
+    process.exitCode = 1;
+    return;
+  }
+  const favorites = new Set(config.favorites); // modelKey()s
+  // The history log only feeds a hint in the details, so an unreadable one is ignored
+  const priceChanges = lastPriceChanges(await readHistory().catch(() => []));
+  const providers = [...new Set(models.map(m => m.provider))].sort();
+  const allModalities = [...new Set(models.flatMap(m => [
+    ...(m.modalitiesInput || []),
+    ...(m.modalitiesOutput || [])
+  ]))].sort();
+
+  let searchTerm = '';
+  let providerFilter = null; // null => Any
+  let toolFilter = null;     // null => Any, true => only tool, false => only non tool
+  let reasoningFilter = null;// same pattern
+  let weightsFilter = null;  // null => Any, true => OPEN, false => CLOSED
+  let tempFilter = null;     // null => Any, true => Y, false => N
+  let minContextFilter = null; // number|null
+  let maxInputCostFilter = null; // number|null
+  let maxOutputCostFilter = null; // number|null
+  let modInFilter = [];      // string[]
+  let modOutFilter = [];     // string[]
+  let releasedAfterFilter = null;  // YYYY[-MM[-DD]]|null, only set by presets
+  let knowledgeAfterFilter = null; // same
+  let whereFilter = null;    // filter expression|null
+  let favoritesOnly = false;
+  let sortIndex = 0;
+  // sort is the --sort spec a preset stores for the mode
+  const sortMode = (name, sort) => ({ name, sort, fn: compareByField(...parseSort(sort)) });
+  const sortModes = [
+    { name: 'Default', sort: null, fn: null },
+    sortMode('Provider', 'provider'),
+    sortMode('Input $', 'inputCost'),
+    sortMode('Output $', 'outputCost'),
+    sortMode('Context', 'contextLimit:desc')
+  ];
+
+  let filtered = models;
+  const marked = new Set(); // modelKey()s picked for the compare view
+  let chartBox = null;       // the open chart view, see openChart
+  let chartX = 'contextLimit';
+  let chartY = 'inputCost';
+  let chartLog = true;
+  let grouped = !!initialFilters.group; // one row per canonical model (z)
+  let groups = new Map();    // canonicalId => group, while grouped
+  let searchHits = new Map(); // modelKey() => search matches, for highlighting
+
+  // Terminal quirk handling: some terminals (notably iTerm2 with TERM=xterm-256color)
+  // make blessed spew a Setulc terminfo evaluation error. We aggressively fall back
+  // to a simpler term definition and disable tput/terminfo use. Users can force this
+  // with MODELS_DEV_FORCE_SIMPLE=1. To retain original TERM despite detection set
+  // MODELS_DEV_KEEP_TERM=1.
+  const term = process.env.TERM || '';
+  const isITerm = (process.env.TERM_PROGRAM || '').toLowerCase().includes('iterm');
+  const problematic = /xterm-256color/i.test(term) || isITerm;
+  const forceSimple = problematic || process.env.MODELS_DEV_FORCE_SIMPLE === '1';
+  if (forceSimple && !process.env.MODELS_DEV_KEEP_TERM) {
+    if (!process.env.MODELS_DEV_ORIG_TERM) process.env.MODELS_DEV_ORIG_TERM = term;
+    process.env.TERM = 'xterm'; // simplify so blessed skips problematic Setulc expr
+  }
+
+  // Create screen with a safe fallback for terminals that choke on terminfo (Setulc error)
+  let screen;
+  try {
+    screen = blessed.screen({
+      smartCSR: true,
+      title: 'models.dev catalogue',
+      fullUnicode: !forceSimple, // disable full unicode in simple mode (safer)
+      forceUnicode: !forceSimple,
+      tput: false,
+      useBCE: false,
+      terminal: forceSimple ? 'xterm' : undefined
+    });
+  } catch (err) {
+    // Fallback: downgrade terminal features to avoid Setulc/terminfo eval crashes
+    try {
+      process.env.TERM = 'xterm';
+      screen = blessed.screen({
+        smartCSR: true,
+        title: 'models.dev catalogue',
+        fullUnicode: false,
+        forceUnicode: false,
+        terminal: 'xterm',
+        tput: false,
+        useBCE: false
+      });
+    } catch (err2) {
+      throw err; // rethrow original if fallback also fails
+    }
+  }
+
+  const list = blessed.list({
+    parent: screen,
+    label: ' {cyan-fg}Models{/cyan-fg} ',
+    width: '35%',
+    height: '100%-1',
+    top: 0,
+    left: 0,
+    keys: true,
+    vi: true,
+    mouse: true,
+    tags: true,
+    border: 'line',
+    scrollbar: { ch: ' ', inverse: true },
+    style: {
+      item: { fg: 'white' },
+      selected: { inverse: true, bold: true },
+      scrollbar: { bg: 'blue' }
+    },
+    items: []
+  });
+
+  const detail = blessed.box({
+    parent: screen,
+    label: ' Details ',
+    left: '35%+1',
+    width: '65%-2',
+    height: '100%-3',
+    top: 0,
+    border: 'line',
+    tags: true,
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: { ch: ' ', inverse: true },
+    content: 'Loading...'
+  });
+
+  const status = blessed.box({
+    parent: screen,
+    bottom: 0,
+    height: 2,
+    width: '100%',
+    tags: true,
+    wrap: false, // a long help line is cut at the edge rather than pushing the status line off
+    style: { fg: 'gray' },
+    content: ''
+  });
+
+  const helpText = 'q quit  / search  p provider  t/r/w/y tool/reason/wgts/temp  x/i/o ctx≥/in$≤/out$≤  m modality  s sort  l/S preset  f/F star/favs  c/e/n copy id/env/code  d docs  space/u mark/clear  v compare  C chart  z group  h help';
+  let showHelp = true;
+
+  function cycleTool() {
+    if (toolFilter === null) toolFilter = true; else if (toolFilter === true) toolFilter = false; else toolFilter = null;
+  }
+  function cycleReasoning() {
+    if (reasoningFilter === null) reasoningFilter = true; else if (reasoningFilter === true) reasoningFilter = false; else reasoningFilter = null;
+  }
+  function cycleSort() { sortIndex = (sortIndex + 1) % sortModes.length; }
+  function cycleWeights() { if (weightsFilter === null) weightsFilter = true; else if (weightsFilter === true) weightsFilter = false; else weightsFilter = null; }
+  function cycleTemp() { if (tempFilter === null) tempFilter = true; else if (tempFilter === true) tempFilter = false; else tempFilter = null; }
+
+  // A preset's sort selects the matching mode, or joins the cycle as a mode of its own
+  function sortIndexFor(sort) {
+    if (!sort) return 0;
+    const [field, dir] = parseSort(sort);
+    const idx = sortModes.findIndex(mode => mode.sort && String(parseSort(mode.sort)) === String([field, dir]));
+    return idx >= 0 ? idx : sortModes.push(sortMode(sort, sort)) - 1;
+  }
+
+  // Filter state to and from a preset: filterModels criteria plus search and sort
+  function applyPreset(preset) {
+    searchTerm = preset.search ?? '';
+    providerFilter = preset.provider ?? null;
+    toolFilter = preset.tool ?? null;
+    reasoningFilter = preset.reasoning ?? null;
+    weightsFilter = preset.openWeights ?? null;
+    tempFilter = preset.temperature ?? null;
+    minContextFilter = preset.minContext ?? null;
+    maxInputCostFilter = preset.maxInputCost ?? null;
+    maxOutputCostFilter = preset.maxOutputCost ?? null;
+    modInFilter = preset.modalitiesInput ?? [];
+    modOutFilter = preset.modalitiesOutput ?? [];
+    releasedAfterFilter = preset.releasedAfter ?? null;
+    knowledgeAfterFilter = preset.knowledgeAfter ?? null;
+    whereFilter = preset.where ?? null;
+    sortIndex = sortIndexFor(preset.sort);
+  }
+  function currentPreset() {
+    return {
+      search: searchTerm,
+      provider: providerFilter,
+      tool: toolFilter,
+      reasoning: reasoningFilter,
+      openWeights: weightsFilter,
+      temperature: tempFilter,
+      minContext: minContextFilter,
+      maxInputCost: maxInputCostFilter,
+      maxOutputCost: maxOutputCostFilter,
+      modalitiesInput: modInFilter,
+      modalitiesOutput: modOutFilter,
+      releasedAfter: releasedAfterFilter,
+      knowledgeAfter: knowledgeAfterFilter,
+      where: whereFilter,
+      sort: sortModes[sortIndex].sort
+    };
+  }
+
+  // paint() for the shared renderers (charts, details): chalk-style names to blessed tags
+  const tagPaint = (text, style = {}) => {
+    let out = blessed.escape(text);
+    if (style.color) out = `{${style.color}-fg}${out}{/${style.color}-fg}`;
+    else if (style.dim) out = `{gray-fg}${out}{/gray-fg}`;
+    if (style.bold) out = `{bold}${out}{/bold}`;
+    if (style.inverse) out = `{inverse}${out}{/inverse}`;
+    if (style.underline) out = `{underline}${out}{/underline}`;
+    return out;
+  };
+
+  function fmtBool(v) { return v ? '{green-fg}Y{/green-fg}' : '{gray-fg}N{/gray-fg}'; }
+  function fmtOpen(v) { return v ? '{green-fg}OPEN{/green-fg}' : '{gray-fg}CLOSED{/gray-fg}'; }
+  function money(v) { return v == null ? '-' : `{yellow-fg}$${v}{/yellow-fg}`; }
+  function numCyan(v) { return v == null ? '-' : `{cyan-fg}${v}{/cyan-fg}`; }
+  function listBlue(arr) { return (arr && arr.length) ? `{blue-fg}${arr.join(', ')}{/blue-fg}` : '-'; }
+  function knowledge(v) { return v ? `{magenta-fg}${v}{/magenta-fg}` : '-'; }
+  function plain(v) { return `{white-fg}${v ?? '-'}{/white-fg}`; }
+
+  // Rows of the compare view: the Details pane fields, one column per marked model
+  const compareRows = [
+    { label: 'Provider', key: 'provider', format: m => `{cyan-fg}${m.provider}{/cyan-fg}` },
+    { label: 'Model', key: 'name', format: m => `{bold}${m.name}{/bold}` },
+    { label: 'ID', key: 'id', format: m => `{blue-fg}${m.id}{/blue-fg}` },
+    { label: 'Tool', key: 'tool', format: m => fmtBool(m.tool), best: 'true' },
+    { label: 'Reason', key: 'reasoning', format: m => fmtBool(m.reasoning), best: 'true' },
+    { label: 'Temp', key: 'temperature', format: m => fmtBool(m.temperature), best: 'true' },
+    { label: 'Weights', key: 'openWeights', format: m => fmtOpen(m.openWeights), best: 'true' },
+    { label: 'Input', key: 'modalitiesInput', format: m => listBlue(m.modalitiesInput) },
+    { label: 'Output', key: 'modalitiesOutput', format: m => listBlue(m.modalitiesOutput) },
+    { label: 'In $', key: 'inputCost', format: m => money(m.inputCost), best: 'min' },
+    { label: 'Out $', key: 'outputCost', format: m => money(m.outputCost), best: 'min' },
+    { label: 'CacheR $', key: 'cacheReadCost', format: m => money(m.cacheReadCost), best: 'min' },
+    { label: 'CacheW $', key: 'cacheWriteCost', format: m => money(m.cacheWriteCost), best: 'min' },
+    { label: 'Ctx', key: 'contextLimit', format: m => numCyan(m.contextLimit), best: 'max' },
+    { label: 'Out limit', key: 'outputLimit', format: m => numCyan(m.outputLimit), best: 'max' },
+    { label: 'Knowledge', key: 'knowledge', format: m => knowledge(m.knowledge), best: 'latest' },
+    { label: 'Release', key: 'releaseDate', format: m => plain(m.releaseDate), best: 'latest' },
+    { label: 'Updated', key: 'lastUpdated', format: m => plain(m.lastUpdated), best: 'latest' }
+  ];
+
+  function applyFilters() {
+    let listData = models;
+    searchHits = new Map();
+    if (searchTerm) {
+      const hits = searchModels(listData, searchTerm);
+      searchHits = new Map(hits.map(h => [modelKey(h.model), h.matches]));
+      listData = hits.map(h => h.model);
+    }
+    listData = filterModels(listData, {
+      provider: providerFilter,
+      tool: toolFilter,
+      reasoning: reasoningFilter,
+      openWeights: weightsFilter,
+      temperature: tempFilter,
+      minContext: minContextFilter,
+      maxInputCost: maxInputCostFilter,
+      maxOutputCost: maxOutputCostFilter,
+      modalitiesInput: modInFilter,
+      modalitiesOutput: modOutFilter,
+      releasedAfter: releasedAfterFilter,
+      knowledgeAfter: knowledgeAfterFilter,
+      where: whereFilter
+    });
+    if (favoritesOnly) listData = listData.filter(m => favorites.has(modelKey(m)));
+    const sorter = sortModes[sortIndex].fn;
+    if (sorter) listData = [...listData].sort(sorter);
+    // Grouped rows stand for their cheapest matching offering, so every key acts on that one
+    if (grouped) {
+      groups = new Map(groupModels(listData, models).map(g => [g.canonicalId, g]));
+      listData = [...groups.values()].map(g => g.cheapest);
+    }
+    filtered = listData.slice(0, 500); // safety cap
+  }
+
+  function formatListItem(m) {
+    const mark = marked.has(modelKey(m)) ? '{yellow-fg}●{/yellow-fg} ' : '';
+    const star = favorites.has(modelKey(m)) ? '{yellow-fg}★{/yellow-fg} ' : '';
+    const group = grouped ? groups.get(m.canonicalId) : null;
+    const routes = group && group.offerings.length > 1 ? ` {gray-fg}(${group.offerings.length} providers){/gray-fg}` : '';
+    // Search matches stand out; a match only in the id shows the id. A group's name is not the
+    // one searched, so it stays plain.
+    const matches = searchHits.get(modelKey(m)) ?? {};
+    const hl = (text, ranges) => highlightText(text, ranges, { mark: s => `{yellow-fg}{underline}${blessed.escape(s)}{/underline}{/yellow-fg}`, plain: blessed.escape });
+    const name = group ? blessed.escape(group.name) : hl(m.name, matches.name);
+    const id = matches.id && !matches.name && !group ? ` {gray-fg}${hl(m.id, matches.id)}{/gray-fg}` : '';
+    return `${mark}${star}{cyan-fg}${hl(m.provider, matches.provider)}{/cyan-fg} {gray-fg}|{/gray-fg} {white-fg}${name}{/white-fg}${id}${routes}`;
+  }
+
+  function updateList(keepSelection = true) {
+    // A grouped row can change its cheapest offering, so selection follows the canonical id
+    const rowId = (m) => grouped ? m.canonicalId : m.id;
+    const prevId = keepSelection && filtered[list.selected] ? rowId(filtered[list.selected]) : null;
+    applyFilters();
+    list.setItems(filtered.map(formatListItem));
+    if (prevId) {
+      const idx = filtered.findIndex(m => rowId(m) === prevId);
+      if (idx >= 0) list.select(idx); else list.select(0);
+    } else {
+      list.select(0);
+    }
+  }
+
+  function updateDetail() {
+    const m = filtered[list.selected];
+    if (!m) { detail.setContent('No selection'); return; }
+    detail.setContent(formatModelDetail(m, {
+      paint: tagPaint,
+      priceChange: priceChanges.get(modelKey(m)),
+      group: grouped ? groups.get(m.canonicalId) : null
+    }));
+  }
+
+  function updateStatus(message) {
+    if (showHelp) {
+      const line1 = `{white-fg}${helpText}{/white-fg}`;
+      const line2 = `Search: {yellow-fg}${searchTerm || '*'}{/yellow-fg}  ` +
+        (whereFilter ? `Where: {yellow-fg}${blessed.escape(whereFilter)}{/yellow-fg}  ` : '') +
+        `Prov: {yellow-fg}${providerFilter || '*'}{/yellow-fg}  ` +
+        `Tool: {yellow-fg}${toolFilter===null?'*':(toolFilter?'Y':'N')}{/yellow-fg}  ` +
+        `Reason: {yellow-fg}${reasoningFilter===null?'*':(reasoningFilter?'Y':'N')}{/yellow-fg}  ` +
+        `Wgts: {yellow-fg}${weightsFilter===null?'*':(weightsFilter?'OPEN':'CLOSED')}{/yellow-fg}  ` +
+        `Temp: {yellow-fg}${tempFilter===null?'*':(tempFilter?'Y':'N')}{/yellow-fg}  ` +
+        `Ctx≥ {yellow-fg}${minContextFilter ?? '*'}{/yellow-fg}  ` +
+        `In$≤ {yellow-fg}${maxInputCostFilter ?? '*'}{/yellow-fg}  ` +
+        `Out$≤ {yellow-fg}${maxOutputCostFilter ?? '*'}{/yellow-fg}  ` +
+        `InMod {yellow-fg}${modInFilter.length?modInFilter.join(','): '*'}{/yellow-fg}  ` +
+        `OutMod {yellow-fg}${modOutFilter.length?modOutFilter.join(','): '*'}{/yellow-fg}  ` +
+        (releasedAfterFilter ? `Rel≥ {yellow-fg}${releasedAfterFilter}{/yellow-fg}  ` : '') +
+        (knowledgeAfterFilter ? `Know≥ {yellow-fg}${knowledgeAfterFilter}{/yellow-fg}  ` : '') +
+        (favoritesOnly ? `Fav: {yellow-fg}only{/yellow-fg}  ` : '') +
+        (grouped ? `Group: {yellow-fg}model{/yellow-fg}  ` : '') +
+        `Sort: {yellow-fg}${sortModes[sortIndex].name}{/yellow-fg}  ` +
+        `Shown: {yellow-fg}${filtered.length}{/yellow-fg}/${models.length}  ` +
+        (marked.size ? `Marked: {yellow-fg}${marked.size}{/yellow-fg}  ` : '') +
+        `Data: {yellow-fg}${formatAge(Date.now() - fetchedAt)}{/yellow-fg}` +
+        (stale ? ' {red-fg}(stale: download failed){/red-fg}' : '') +
+        (message ? `  | ${message}` : '');
+      status.setContent(line1 + "\n" + line2);
+    } else if (message) {
+      status.setContent(message);
+    } else {
+      status.setContent('');
+    }
+  }
+
+  function refresh(keepSel = true, msg) {
+    updateList(keepSel);
+    updateDetail();
+    updateStatus(msg);
+    if (chartBox && !chartBox.destroyed) drawChart();
+    screen.render();
+  }
+
+  function promptSearch() {
+    const prompt = blessed.prompt({
+      parent: screen,
+      tags: true,
+      label: ' {cyan-fg}Search{/cyan-fg} ',
+      width: '50%',
+      height: 'shrink',
+      border: 'line',
+      keys: true,
+      vi: true
+    });
+    const current = whereFilter ? `=${whereFilter}` : searchTerm;
+    prompt.input('Search term, or =expression to filter (blank clears):', current, (err, value) => {
+      if (!err) {
+        const input = (value || '').trim();
+        if (!input) {
+          searchTerm = '';
+          whereFilter = null;
+          refresh(false, 'Search cleared');
+        } else if (input.startsWith('=')) {
+          const expr = input.slice(1).trim();
+          try {
+            if (expr) compileFilter(expr);
+            whereFilter = expr || null;
+            refresh(false, expr ? 'Filter expression applied' : 'Filter expression cleared');
+          } catch (e) {
+            updateStatus(e instanceof FilterSyntaxError ? `{red-fg}${blessed.escape(`${e.reason} (column ${e.column})`)}{/red-fg}` : e.message);
+          }
+        } else {
+          searchTerm = input;
+          refresh(false, 'Search updated');
+        }
+      }
+      prompt.destroy();
+      list.focus();
+      screen.render();
+    });
+    // no prompt.focus() here: it would blur the input and cancel the read
+    screen.render();
+  }
+
+  function providerSelect() {
+    const choices = ['Any', ...providers];
+    const display = choices.map((c, i) => i === 0 ? '{yellow-fg}Any{/yellow-fg}' : `{cyan-fg}${c}{/cyan-fg}`);
+    const modal = blessed.list({
+      parent: screen,
+      tags: true,
+      label: ' {cyan-fg}Provider{/cyan-fg} ',
+      width: '30%',
+      height: '60%',
+      top: 'center',
+      left: 'center',
+      border: 'line',
+      keys: true,
+      vi: true,
+      mouse: true,
+      style: {
+        item: { fg: 'white' },
+        selected: { inverse: true, bold: true }
+      },
+      items: display
+    });
+    modal.focus();
+    modal.on('select', (_, idx) => {
+      providerFilter = idx === 0 ? null : choices[idx];
+      modal.destroy();
+      refresh(false, 'Provider updated');
+    });
+    screen.key(['escape'], function escHandler() {
+      if (!modal.destroyed) {
+        modal.destroy();
+        screen.off('key', escHandler);
+        list.focus();
+        screen.render();
+      }
+    });
+    screen.render();
+  }
+
+  function promptNumber(title, current, onSet) {
+    const prompt = blessed.prompt({ parent: screen, tags: true, label: ` {cyan-fg}${title}{/cyan-fg} `, width: '40%', height: 'shrink', border: 'line', keys: true, vi: true });
+    prompt.input('Blank to clear:', current == null ? '' : String(current), (err, value) => {
+      if (!err) {
+        const v = (value || '').trim();
+        const n = v ? parseFilterNumber(v) : null;
+        if (v && n === null) {
+          updateStatus(`{red-fg}${blessed.escape(`Expected a number (k/M suffixes allowed), got ${v}`)}{/red-fg}`);
+        } else {
+          onSet(n);
+          refresh(false, `${title} updated`);
+        }
+      }
+      prompt.destroy(); list.focus(); screen.render();
+    });
+    screen.render();
+  }
+
+  function modalitiesSelect() {
+    const inSet = new Set(modInFilter);
+    const outSet = new Set(modOutFilter);
+    const modal = blessed.box({
+      parent: screen,
+      label: ' {cyan-fg}Modalities{/cyan-fg} ',
+      top: 'center', left: 'center', width: '60%', height: '70%',
+      border: 'line', tags: true
+    });
+
+    const renderItems = (set) => allModalities.map(n => `${set.has(n) ? '{green-fg}☑{/green-fg}' : '☐'} ${n}`);
+
+    const listIn = blessed.list({
+      parent: modal,
+      label: ' {cyan-fg}Input{/cyan-fg} ',
+      left: 0, top: 0, width: '50%-1', height: '100%-1',
+      tags: true, keys: true, vi: true, mouse: true,
+      style: { selected: { inverse: true } },
+      items: renderItems(inSet)
+    });
+    const listOut = blessed.list({
+      parent: modal,
+      label: ' {cyan-fg}Output{/cyan-fg} ',
+      left: '50%+1', top: 0, width: '50%-2', height: '100%-1',
+      tags: true, keys: true, vi: true, mouse: true,
+      style: { selected: { inverse: true } },
+      items: renderItems(outSet)
+    });
+
+    function toggle(list, set) {
+      const idx = list.selected;
+      const name = allModalities[idx];
+      if (!name) return;
+      if (set.has(name)) set.delete(name); else set.add(name);
+      list.setItem(idx, renderItems(set)[idx]);
+      screen.render();
+    }
+
+    listIn.on('keypress', (ch, key) => {
+      if (key.name === 'space') toggle(listIn, inSet);
+      if (key.name === 'tab') { listOut.focus(); screen.render(); }
+    });
+    listOut.on('keypress', (ch, key) => {
+      if (key.name === 'space') toggle(listOut, outSet);
+      if (key.name === 'tab') { listIn.focus(); screen.render(); }
+    });
+
+    const escHandler = function escHandler() {
+      if (!modal.destroyed) {
+        modInFilter = Array.from(inSet);
+        modOutFilter = Array.from(outSet);
+        modal.destroy();
+        screen.off('key', escHandler);
+        refresh(false, 'Modalities updated');
+      }
+    };
+    screen.key(['escape'], escHandler);
+    listIn.focus();
+    screen.render();
+  }
+
+  async function presetSelect() {
+    let presets;
+    try {
+      ({ presets } = await loadConfig());
+    } catch (e) {
+      updateStatus(`{red-fg}${blessed.escape(e.message)}{/red-fg}`);
+      screen.render();
+      return;
+    }
+    const names = Object.keys(presets);
+    if (!names.length) {
+      updateStatus('No presets yet: press S to save the current filters as one');
+      screen.render();
+      return;
+    }
+    const summary = (preset) => Object.entries(preset ?? {}).map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(',') : v}`).join(' ');
+    const modal = blessed.list({
+      parent: screen,
+      tags: true,
+      label: ' {cyan-fg}Presets{/cyan-fg} ',
+      width: '70%',
+      height: '60%',
+      top: 'center',
+      left: 'center',
+      border: 'line',
+      keys: true,
+      vi: true,
+      mouse: true,
+      style: {
+        item: { fg: 'white' },
+        selected: { inverse: true, bold: true }
+      },
+      items: names.map(n => `{cyan-fg}${blessed.escape(n)}{/cyan-fg}  {gray-fg}${blessed.escape(summary(presets[n]))}{/gray-fg}`)
+    });
+    modal.focus();
+    modal.on('select', (_, idx) => {
+      modal.destroy();
+      try {
+        applyPreset(getPreset({ presets }, names[idx]));
+        refresh(false, `Preset ${names[idx]}`);
+      } catch (e) {
+        list.focus();
+        updateStatus(`{red-fg}${blessed.escape(e.message)}{/red-fg}`);
+        screen.render();
+      }
+    });
+    screen.key(['escape'], function escHandler() {
+      if (!modal.destroyed) {
+        modal.destroy();
+        screen.off('key', escHandler);
+        list.focus();
+        screen.render();
+      }
+    });
+    screen.render();
+  }
+
+  function promptSavePreset() {
+    const prompt = blessed.prompt({ parent: screen, tags: true, label: ' {cyan-fg}Save preset{/cyan-fg} ', width: '40%', height: 'shrink', border: 'line', keys: true, vi: true });
+    prompt.input('Name (an existing name is replaced):', '', async (err, value) => {
+      prompt.destroy(); list.focus();
+      if (!err && value?.trim()) {
+        try {
+          await savePreset(value, currentPreset());
+          updateStatus(`Saved preset ${blessed.escape(value.trim())}`);
+        } catch (e) {
+          updateStatus(`{red-fg}${blessed.escape(e.message)}{/red-fg}`);
+        }
+      }
+      screen.render();
+    });
+    screen.render();
+  }
+
+  async function toggleStar() {
+    const m = filtered[list.selected];
+    if (!m) return;
+    const key = modelKey(m);
+    try {
+      if (await toggleFavorite(key)) favorites.add(key); else favorites.delete(key);
+    } catch (e) {
+      updateStatus(`{red-fg}${blessed.escape(e.message)}{/red-fg}`);
+      screen.render();
+      return;
+    }
+    const starred = favorites.has(key);
+    if (favoritesOnly && !starred) {
+      refresh(true, `Unstarred ${key}`);
+      return;
+    }
+    list.setItem(list.selected, formatListItem(m));
+    updateStatus(`${starred ? 'Starred' : 'Unstarred'} ${key}`);
+    screen.render();
+  }
+
+  function toggleFavoritesOnly() {
+    if (!favoritesOnly && !favorites.size) {
+      updateStatus('No favorites yet: press f to star the selected model');
+      screen.render();
+      return;
+    }
+    favoritesOnly = !favoritesOnly;
+    if (!favoritesOnly) {
+      refresh(true, 'All models');
+      return;
+    }
+    const { missing } = resolveFavorites(models, [...favorites]);
+    refresh(false, missing.length
+      ? `{yellow-fg}Favorites only; not in the catalogue: ${blessed.escape(missing.join(', '))}{/yellow-fg}`
+      : 'Favorites only');
+  }
+
+  function toggleMark() {
+    const m = filtered[list.selected];
+    if (!m) return;
+    const key = modelKey(m);
+    if (marked.has(key)) marked.delete(key); else marked.add(key);
+    list.setItem(list.selected, formatListItem(m));
+    list.down(1);
+    updateDetail();
+    updateStatus(`${marked.size} marked`);
+    screen.render();
+  }
+
+  function openCompare() {
+    const picked = models.filter(m => marked.has(modelKey(m)));
+    if (picked.length < 2) {
+      updateStatus('Mark at least two models with space to compare');
+      screen.render();
+      return;
+    }
+    const width = (text) => blessed.helpers.stripTags(text).length;
+    const pad = (text, n) => text + ' '.repeat(Math.max(0, n - width(text)));
+    const labelWidth = Math.max(...compareRows.map(r => r.label.length)) + 2;
+    const cells = compareRows.map(row => {
+      const winners = bestIndexes(picked, row.key, row.best);
+      return picked.map((m, i) => {
+        const text = row.format(m);
+        return winners.has(i) ? `{green-bg}{black-fg}${blessed.helpers.stripTags(text)}{/black-fg}{/green-bg}` : text;
+      });
+    });
+    const colWidths = picked.map((_, i) => Math.max(...cells.map(r => width(r[i]))) + 3);
+    const lines = compareRows.map((row, r) =>
+      `{white-fg}{bold}${pad(row.label, labelWidth)}{/bold}{/white-fg}` +
+      cells[r].map((c, i) => pad(c, colWidths[i])).join('')
+    );
+
+    const box = blessed.box({
+      parent: screen,
+      label: ` {cyan-fg}Compare (${picked.length}){/cyan-fg} {gray-fg}esc closes{/gray-fg} `,
+      top: 0, left: 0, width: '100%', height: '100%-2',
+      border: 'line', tags: true,
+      scrollable: true, alwaysScroll: true, keys: true, vi: true, mouse: true,
+      scrollbar: { ch: ' ', inverse: true },
+      content: lines.join('\n')
+    });
+    const escHandler = function escHandler() {
+      if (!box.destroyed) {
+        box.destroy();
+        screen.off('key', escHandler);
+        list.focus();
+        screen.render();
+      }
+    };
+    screen.key(['escape'], escHandler);
+    box.focus();
+    screen.render();
+  }
+
+  // Full-screen scatter of the filtered models with the selected one highlighted; filter keys
+  // keep working underneath and redraw it
+  function drawChart() {
+    const m = filtered[list.selected];
+    chartBox.setLabel(` {cyan-fg}Chart{/cyan-fg} {gray-fg}X/Y axes  L log  ↑/↓ select  esc closes{/gray-fg} `);
+    chartBox.setContent(renderScatter(filtered, {
+      x: chartX,
+      y: chartY,
+      log: chartLog,
+      width: chartBox.width - 3,
+      height: chartBox.height - 8, // border, title, axis, axis labels, legend
+      highlight: m ? modelKey(m) : null,
+      paint: tagPaint
+    }));
+  }
+
+  function openChart() {
+    chartBox = blessed.box({
+      parent: screen,
+      top: 0, left: 0, width: '100%', height: '100%-2',
+      border: 'line', tags: true
+    });
+    const next = (field, dir) => CHART_FIELDS[(CHART_FIELDS.indexOf(field) + dir + CHART_FIELDS.length) % CHART_FIELDS.length];
+    const move = (dir) => {
+      if (!filtered.length) return;
+      list.select(Math.max(0, Math.min(filtered.length - 1, list.selected + dir)));
+      updateDetail();
+      drawChart();
+      screen.render();
+    };
+    chartBox.key(['up', 'k'], () => move(-1));
+    chartBox.key(['down', 'j'], () => move(1));
+    chartBox.key('S-x', () => { chartX = next(chartX, 1); drawChart(); screen.render(); });
+    chartBox.key('S-y', () => { chartY = next(chartY, 1); drawChart(); screen.render(); });
+    chartBox.key('S-l', () => { chartLog = !chartLog; drawChart(); screen.render(); });
+    const escHandler = function escHandler() {
+      if (!chartBox.destroyed) {
+        chartBox.destroy();
+        screen.off('key', escHandler);
+        list.focus();
+        screen.render();
+      }
+    };
+    screen.key(['escape'], escHandler);
+    chartBox.focus();
+    drawChart();
+    screen.render();
+  }
+
+  async function copyEnv() {
+    const m = filtered[list.selected];
+    if (!m) return;
+    if (!m.providerEnv?.length) {
+      updateStatus(`${m.provider} lists no API key env vars`);
+      screen.render();
+      return;
+    }
+    const names = m.providerEnv.join(' ');
+    try {
+      await clipboardy.write(names);
+      updateStatus(`Copied ${names}`);
+    } catch {
+      updateStatus('Copy failed');
+    }
+    screen.render();
+  }
+
+  // Pick a target, then copy that snippet for the selected model
+  function snippetSelect() {
+    const m = filtered[list.selected];
+    if (!m) return;
+    const modal = blessed.list({
+      parent: screen,
+      tags: true,
+      label: ` {cyan-fg}Snippet for ${blessed.escape(modelKey(m))}{/cyan-fg} `,
+      width: '40%',
+      height: SNIPPET_TARGETS.length + 2,
+      top: 'center',
+      left: 'center',
+      border: 'line',
+      keys: true,
+      vi: true,
+      mouse: true,
+      style: {
+        item: { fg: 'white' },
+        selected: { inverse: true, bold: true }
+      },
+      items: SNIPPET_TARGETS.map(t => `{cyan-fg}${t}{/cyan-fg}`)
+    });
+    modal.focus();
+    modal.on('select', async (_, idx) => {
+      const target = SNIPPET_TARGETS[idx];
+      modal.destroy();
+      list.focus();
+      let text;
+      try {
+        text = buildSnippet(m, target);
+      } catch (e) {
+        updateStatus(`{red-fg}${blessed.escape(e.message)}{/red-fg}`);
+        screen.render();
+        return;
+      }
+      try {
+        await clipboardy.write(text);
+        updateStatus(`Copied ${target} snippet for ${blessed.escape(modelKey(m))}`);
+      } catch {
+        updateStatus('Copy failed');
+      }
+      screen.render();
+    });
+    screen.key(['escape'], function escHandler() {
+      if (!modal.destroyed) {
+        modal.destroy();
+        screen.off('key', escHandler);
+        list.focus();
+        screen.render();
+      }
+    });
+    screen.render();
+  }
+
+  function openDocs() {
+    const m = filtered[list.selected];
+    if (!m) return;
+    if (!m.providerDoc) {
+      updateStatus(`${m.provider} has no docs link`);
+      screen.render();
+      return;
+    }
+    openUrl(m.providerDoc, (reason) => {
+      updateStatus(`{red-fg}Could not open a browser (${blessed.escape(reason)}){/red-fg}: ${blessed.escape(m.providerDoc)}`);
+      screen.render();
+    });
+    updateStatus(`Opening ${blessed.escape(m.providerDoc)}`);
+    screen.render();
+  }
+
+  // Key bindings
+  screen.key(['q', 'C-c'], () => process.exit(0));
+  screen.key('/', promptSearch);
+  screen.key('p', providerSelect);
+  screen.key('t', () => { cycleTool(); refresh(true, 'Tool filter'); });
+  screen.key('r', () => { cycleReasoning(); refresh(true, 'Reason filter'); });
+  screen.key('s', () => { cycleSort(); refresh(true, 'Sort changed'); });
+  screen.key('w', () => { cycleWeights(); refresh(true, 'Weights filter'); });
+  screen.key('y', () => { cycleTemp(); refresh(true, 'Temp filter'); });
+  screen.key('x', () => { promptNumber('Min Context', minContextFilter, v => { minContextFilter = v; }); });
+  screen.key('i', () => { promptNumber('Max Input $ (per 1M)', maxInputCostFilter, v => { maxInputCostFilter = v; }); });
+  screen.key('o', () => { promptNumber('Max Output $ (per 1M)', maxOutputCostFilter, v => { maxOutputCostFilter = v; }); });
+  screen.key('m', () => { modalitiesSelect(); });
+  screen.key('l', () => { if (screen.focused === list) presetSelect(); });
+  screen.key('S-s', () => { if (screen.focused === list) promptSavePreset(); });
+  screen.key('f', () => { if (screen.focused === list) toggleStar(); });
+  screen.key('S-f', () => { if (screen.focused === list) toggleFavoritesOnly(); });
+  screen.key('c', async () => {
+    const m = filtered[list.selected];
+    if (!m) return;
+    try {
+      await clipboardy.write(m.id);
+      updateStatus(`Copied ${m.id}`);
+      screen.render();
+    } catch {
+      updateStatus('Copy failed');
+    }
+  });
+  screen.key('e', () => { if (screen.focused === list) copyEnv(); });
+  screen.key('d', () => { if (screen.focused === list) openDocs(); });
+  screen.key('n', () => { if (screen.focused === list) snippetSelect(); });
+  screen.key('space', () => { if (screen.focused === list) toggleMark(); });
+  screen.key('v', () => { if (screen.focused === list) openCompare(); });
+  screen.key('S-c', () => { if (screen.focused === list) openChart(); });
+  screen.key('z', () => {
+    if (screen.focused !== list) return;
+    grouped = !grouped;
+    refresh(true, grouped ? 'Grouped by model across providers' : 'Ungrouped');
+  });
+  screen.key('u', () => { marked.clear(); refresh(true, 'Marks cleared'); });
+  screen.key('h', () => { showHelp = !showHelp; refresh(true); });
+
+  // blessed lists have no paging keys; a page is the config's pageSize, else a screenful
+  const pageStep = () => settings.pageSize ?? Math.max(1, list.height - 3);
+  list.key('pageup', () => { list.up(pageStep()); updateDetail(); screen.render(); });
+  list.key('pagedown', () => { list.down(pageStep()); updateDetail(); screen.render(); });
+  list.on('keypress', () => { updateDetail(); screen.render(); });
+  list.on('scroll', () => { updateDetail(); screen.render(); });
+  list.on('click', () => { updateDetail(); screen.render(); });
+
+  // Initial render
+  applyPreset(initialFilters);
+  try {
+    refresh(false, 'Loaded');
+    list.focus();
+  } catch (e) {
+    console.error('Interactive UI init failed, falling back to table view:', e.message);
+    console.log(formatTable(models.slice(0, 30)));
+  }
+};
+
+export { interactiveBlessedMode };
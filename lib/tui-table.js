@@ -0,0 +1,385 @@
+// Prompt-driven table TUI (inquirer), the fallback when blessed is unavailable
+import chalk from 'chalk';
+import { formatAge, loadCatalogue, modelKey } from './catalogue.js';
+import { compileFilter, filterModels, parseFilterNumber } from './filter.js';
+import { compareByField, interactiveSortMap, parseSort } from './sort.js';
+import { formatTable } from './format.js';
+import { formatGroupTable, groupModels } from './group.js';
+import { searchModels } from './search.js';
+import { getPreset, loadConfig, resolveFavorites, savePreset, toggleFavorite } from './config.js';
+
+// Lazy-loaded deps for interactive mode
+let inquirer;
+let clipboardy;
+
+// The context and cost prompts take what the flags take: "128k", "1.5M", "0.5"; blank clears
+const validNumber = (value) => {
+  const text = String(value).trim();
+  return !text || parseFilterNumber(text) !== null || 'Expected a number (k/M suffixes allowed)';
+};
+const numberAnswer = (value) => {
+  const text = String(value).trim();
+  return text ? parseFilterNumber(text) : null;
+};
+
+const interactiveTableMode = async (cacheOpts, initialFilters = {}, settings = {}) => {
+  try {
+    ({ default: inquirer } = await import('inquirer'));
+    clipboardy = (await import('clipboardy')).default;
+  } catch (e) {
+    console.error('Missing interactive dependencies. Ensure they are installed.');
+    process.exit(1);
+  }
+
+  let models, fetchedAt, stale;
+  try {
+    ({ models, fetchedAt, stale } = await loadCatalogue(cacheOpts));
+  } catch (e) {
+    console.error(chalk.red(e.message));
+    process.exit(1);
+  }
+  let searchTerm = '';
+  let provider = 'Any';
+  let tool = 'Any';
+  let reasoning = 'Any';
+  let sort = 'Default';       // Default, an interactiveSortMap label or a preset's --sort spec
+
+  // Additional filters for table mode
+  let minContext = null;       // number | null
+  let maxInputCost = null;     // number | null
+  let maxOutputCost = null;    // number | null
+  let weights = 'Any';         // Any | OPEN | CLOSED
+  let temperature = 'Any';     // Any | Y | N
+  let modIn = [];              // string[]
+  let modOut = [];             // string[]
+  let releasedAfter = null;    // YYYY[-MM[-DD]] | null, only set by presets
+  let knowledgeAfter = null;   // same
+  let where = null;            // filter expression | null
+  let favoritesOnly = false;
+  let config;
+  try {
+    config = await loadConfig();
+  } catch (e) {
+    console.error(chalk.red(e.message));
+    process.exit(1);
+  }
+  const favorites = new Set(config.favorites); // modelKey()s
+
+  // Pagination
+  let page = 0;
+  let pageSize = settings.pageSize ?? 30;
+
+  // Filter state to and from a preset: filterModels criteria plus search and sort
+  const yn = (v) => v === 'Any' ? null : v === 'Y' || v === 'OPEN';
+  const label = (v, yes = 'Y', no = 'N') => v == null ? 'Any' : v ? yes : no;
+  const applyPreset = (preset) => {
+    searchTerm = preset.search ?? '';
+    provider = preset.provider ?? 'Any';
+    tool = label(preset.tool);
+    reasoning = label(preset.reasoning);
+    weights = label(preset.openWeights, 'OPEN', 'CLOSED');
+    temperature = label(preset.temperature);
+    minContext = preset.minContext ?? null;
+    maxInputCost = preset.maxInputCost ?? null;
+    maxOutputCost = preset.maxOutputCost ?? null;
+    modIn = preset.modalitiesInput ?? [];
+    modOut = preset.modalitiesOutput ?? [];
+    releasedAfter = preset.releasedAfter ?? null;
+    knowledgeAfter = preset.knowledgeAfter ?? null;
+    where = preset.where ?? null;
+    sort = preset.sort ?? 'Default';
+    page = 0;
+  };
+  const currentPreset = () => ({
+    search: searchTerm,
+    provider: provider === 'Any' ? null : provider,
+    tool: yn(tool),
+    reasoning: yn(reasoning),
+    openWeights: yn(weights),
+    temperature: yn(temperature),
+    minContext,
+    maxInputCost,
+    maxOutputCost,
+    modalitiesInput: modIn,
+    modalitiesOutput: modOut,
+    releasedAfter,
+    knowledgeAfter,
+    where,
+    sort: sort === 'Default' ? null : sort
+  });
+  applyPreset(initialFilters);
+
+  const providers = [...new Set(models.map(m => m.provider))].sort();
+  const allModalities = [...new Set(models.flatMap(m => [
+    ...(m.modalitiesInput || []),
+    ...(m.modalitiesOutput || [])
+  ]))].sort();
+
+  let grouped = !!initialFilters.group; // one row per canonical model (group)
+  let highlights = null; // modelKey() => search matches, for the table
+  const currentFiltered = () => {
+    let list = models;
+    highlights = null;
+    if (searchTerm) {
+      const hits = searchModels(list, searchTerm);
+      highlights = new Map(hits.map(h => [modelKey(h.model), h.matches]));
+      list = hits.map(h => h.model);
+    }
+    const { sort: sortSpec, ...criteria } = currentPreset(); // filterModels ignores search
+    list = filterModels(list, criteria);
+    if (favoritesOnly) list = list.filter(m => favorites.has(modelKey(m)));
+    if (sortSpec) list = [...list].sort(compareByField(...parseSort(sortSpec)));
+    return list;
+  };
+
+  const loop = async () => {
+    // Grouped rows stand for their cheapest matching offering, so every command acts on that one
+    const full = grouped ? groupModels(currentFiltered(), models) : currentFiltered();
+    const pages = Math.max(1, Math.ceil(full.length / pageSize));
+    if (page >= pages) page = pages - 1;
+    const start = page * pageSize;
+    const end = Math.min(full.length, start + pageSize);
+    const pageRows = full.slice(start, end);
+    const pageItems = grouped ? pageRows.map(g => g.cheapest) : pageRows;
+
+    console.clear();
+    console.log(chalk.cyan.bold('models.dev catalogue (Interactive Table)'));
+    console.log(chalk.gray(`Filters:`),
+      chalk.yellow(`search:`), searchTerm || '*',
+      chalk.yellow(`prov:`), provider,
+      chalk.yellow(`tool:`), tool,
+      chalk.yellow(`reason:`), reasoning,
+      chalk.yellow(`weights:`), weights,
+      chalk.yellow(`temp:`), temperature,
+      chalk.yellow(`ctx>=`), minContext ?? '-',
+      chalk.yellow(`in$<=`), maxInputCost ?? '-',
+      chalk.yellow(`out$<=`), maxOutputCost ?? '-',
+      chalk.yellow(`inMod:`), modIn.length ? modIn.join(',') : '-',
+      chalk.yellow(`outMod:`), modOut.length ? modOut.join(',') : '-',
+      ...(releasedAfter ? [chalk.yellow(`released>=`), releasedAfter] : []),
+      ...(knowledgeAfter ? [chalk.yellow(`knowledge>=`), knowledgeAfter] : []),
+      chalk.yellow(`where:`), where || '-',
+      ...(favoritesOnly ? [chalk.yellow(`fav:`), 'only'] : []),
+      ...(grouped ? [chalk.yellow(`group:`), 'model'] : []),
+      chalk.yellow(`sort:`), sort
+    );
+    console.log(chalk.gray(`Showing ${start + 1}-${end} of ${full.length}  page ${page + 1}/${pages}  size ${pageSize}  data ${formatAge(Date.now() - fetchedAt)}${stale ? ' (stale: download failed)' : ''}`));
+    console.log(grouped ? formatGroupTable(pageRows) : formatTable(pageItems, undefined, { highlights }));
+    console.log(chalk.gray('Actions: (s)earch (p)rovider (t)ool (r)eason s(o)rt (w)eights (temp) (ctx) (in)max$ (out)max$ (m)odalities (f)avorite (fav) only (group) by model (l)oad preset (save) preset (ps)ize (n)ext (b)ack (g)o (c)opy (clear) (q)uit'));
+    const { action } = await inquirer.prompt([
+      { name: 'action', type: 'input', message: 'Command:' }
+    ]);
+
+    const cmd = (action || '').toLowerCase().trim();
+    switch (cmd) {
+      case 's': {
+        const { term } = await inquirer.prompt([{ name: 'term', type: 'input', message: 'Search term, or =expression to filter (blank clears):', default: where ? `=${where}` : searchTerm }]);
+        const input = term.trim();
+        if (!input) {
+          searchTerm = '';
+          where = null;
+        } else if (input.startsWith('=')) {
+          const expr = input.slice(1).trim();
+          try {
+            if (expr) compileFilter(expr);
+            where = expr || null;
+          } catch (e) {
+            console.log(chalk.red(e.message));
+            await inquirer.prompt([{ name: 'ok', type: 'input', message: 'Press enter to continue' }]);
+          }
+        } else {
+          searchTerm = input;
+        }
+        page = 0;
+        break;
+      }
+      case 'p': {
+        const { prov } = await inquirer.prompt([{ name: 'prov', type: 'list', message: 'Provider filter', choices: ['Any', ...providers], default: provider }]);
+        provider = prov;
+        page = 0;
+        break;
+      }
+      case 't': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'list', message: 'Tool calling filter', choices: ['Any', 'Y', 'N'], default: tool }]);
+        tool = val;
+        page = 0;
+        break;
+      }
+      case 'r': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'list', message: 'Reasoning filter', choices: ['Any', 'Y', 'N'], default: reasoning }]);
+        reasoning = val;
+        page = 0;
+        break;
+      }
+      case 'o': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'list', message: 'Sort', choices: ['Default', ...Object.keys(interactiveSortMap)], default: sort }]);
+        sort = val;
+        break;
+      }
+      case 'w': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'list', message: 'Weights openness', choices: ['Any', 'OPEN', 'CLOSED'], default: weights }]);
+        weights = val;
+        page = 0;
+        break;
+      }
+      case 'temp': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'list', message: 'Temperature adjustable', choices: ['Any', 'Y', 'N'], default: temperature }]);
+        temperature = val;
+        page = 0;
+        break;
+      }
+      case 'ctx':
+      case 'x': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'input', message: 'Min context length (blank clears):', default: minContext ?? '', validate: validNumber }]);
+        minContext = numberAnswer(val);
+        page = 0;
+        break;
+      }
+      case 'in': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'input', message: 'Max INPUT cost per 1M (blank clears):', default: maxInputCost ?? '', validate: validNumber }]);
+        maxInputCost = numberAnswer(val);
+        page = 0;
+        break;
+      }
+      case 'out': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'input', message: 'Max OUTPUT cost per 1M (blank clears):', default: maxOutputCost ?? '', validate: validNumber }]);
+        maxOutputCost = numberAnswer(val);
+        page = 0;
+        break;
+      }
+      case 'm': {
+        const answers = await inquirer.prompt([
+          { name: 'in', type: 'checkbox', message: 'Input modalities (empty = any)', choices: allModalities, default: modIn },
+          { name: 'out', type: 'checkbox', message: 'Output modalities (empty = any)', choices: allModalities, default: modOut }
+        ]);
+        modIn = answers.in;
+        modOut = answers.out;
+        page = 0;
+        break;
+      }
+      case 'f': {
+        if (!pageItems.length) {
+          console.log('Nothing to star.');
+          break;
+        }
+        const { key } = await inquirer.prompt([{
+          name: 'key', type: 'list', message: 'Star or unstar (★ = favorite)',
+          choices: pageItems.map(m => ({ name: `${favorites.has(modelKey(m)) ? '★' : ' '} ${m.provider} | ${m.name} | ${m.id}`, value: modelKey(m) }))
+        }]);
+        try {
+          const starred = await toggleFavorite(key);
+          if (starred) favorites.add(key); else favorites.delete(key);
+          console.log(chalk.green(`${starred ? 'Starred' : 'Unstarred'} ${key}.`));
+          await new Promise(r => setTimeout(r, 700));
+        } catch (e) {
+          console.log(chalk.red(e.message));
+          await inquirer.prompt([{ name: 'ok', type: 'input', message: 'Press enter to continue' }]);
+        }
+        break;
+      }
+      case 'fav': {
+        favoritesOnly = !favoritesOnly;
+        page = 0;
+        const { missing } = resolveFavorites(models, [...favorites]);
+        if (favoritesOnly && missing.length) {
+          console.log(chalk.yellow(`Not in the catalogue: ${missing.join(', ')}`));
+          await inquirer.prompt([{ name: 'ok', type: 'input', message: 'Press enter to continue' }]);
+        }
+        break;
+      }
+      case 'group': {
+        grouped = !grouped;
+        page = 0;
+        break;
+      }
+      case 'l': {
+        try {
+          const config = await loadConfig();
+          const names = Object.keys(config.presets);
+          if (!names.length) throw new Error('No presets yet: use save to store the current filters as one');
+          const { name } = await inquirer.prompt([{ name: 'name', type: 'list', message: 'Preset', choices: names }]);
+          applyPreset(getPreset(config, name));
+        } catch (e) {
+          console.log(chalk.red(e.message));
+          await inquirer.prompt([{ name: 'ok', type: 'input', message: 'Press enter to continue' }]);
+        }
+        break;
+      }
+      case 'save': {
+        const { name } = await inquirer.prompt([{ name: 'name', type: 'input', message: 'Preset name (an existing name is replaced, blank cancels):' }]);
+        if (!name.trim()) break;
+        try {
+          await savePreset(name, currentPreset());
+          console.log(chalk.green(`Saved preset ${name.trim()}.`));
+          await new Promise(r => setTimeout(r, 700));
+        } catch (e) {
+          console.log(chalk.red(e.message));
+          await inquirer.prompt([{ name: 'ok', type: 'input', message: 'Press enter to continue' }]);
+        }
+        break;
+      }
+      case 'ps': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'input', message: 'Page size:', default: String(pageSize) }]);
+        pageSize = Math.max(1, Number(String(val).trim()) || pageSize);
+        page = 0;
+        break;
+      }
+      case 'n':
+      case 'next': {
+        page = Math.min(pages - 1, page + 1);
+        break;
+      }
+      case 'b':
+      case 'prev':
+      case 'back': {
+        page = Math.max(0, page - 1);
+        break;
+      }
+      case 'g':
+      case 'go': {
+        const { val } = await inquirer.prompt([{ name: 'val', type: 'input', message: `Go to page (1-${pages}):`, default: String(page + 1) }]);
+        const n = Math.max(1, Math.min(pages, Number(String(val).trim()) || 1));
+        page = n - 1;
+        break;
+      }
+      case 'c': {
+        if (!pageItems.length) {
+          console.log('Nothing to copy.');
+          break;
+        }
+        const { mid } = await inquirer.prompt([{ name: 'mid', type: 'list', message: 'Select model to copy ID', choices: pageItems.map(m => ({ name: `${m.provider} | ${m.name} | ${m.id}`, value: m.id })) }]);
+        await clipboardy.write(mid);
+        console.log(chalk.green('Copied to clipboard.'));
+        await new Promise(r => setTimeout(r, 700));
+        break;
+      }
+      case 'clear': {
+        searchTerm = '';
+        provider = 'Any';
+        tool = 'Any';
+        reasoning = 'Any';
+        weights = 'Any';
+        temperature = 'Any';
+        minContext = null;
+        maxInputCost = null;
+        maxOutputCost = null;
+        modIn = [];
+        modOut = [];
+        releasedAfter = null;
+        knowledgeAfter = null;
+        where = null;
+        favoritesOnly = false;
+        page = 0;
+        break;
+      }
+      case 'q':
+        return;
+      default:
+        break;
+    }
+    await loop();
+  };
+  await loop();
+};
+
+export { interactiveTableMode };
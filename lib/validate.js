@@ -0,0 +1,213 @@
+// Model references in config files (`validate` command): find the model ids a repo's JSON,
+// YAML or env files point at and check them against the catalogue, so CI catches typos and
+// retired models instead of the first request at runtime.
+//
+//   models-dev validate agents.json --path 'agents.*.model' --tool
+//   models-dev validate .env deploy/app.yaml --pattern '^MODEL=(.+)$'
+//
+// References come from JSON paths (.json files only) and regexes (any file). A file neither
+// applies to is scanned for providerId/modelId with a known provider id, which keeps URLs and file
+// paths out. The filters double as requirements: a model that fails them gets a warning.
+import chalk from 'chalk';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { listProviders, modelKey } from './catalogue.js';
+import { filterModels } from './filter.js';
+import { searchModels } from './search.js';
+
+// 'agents.*.model', '$.models[0].id', 'providers["my.org"].model' → ['agents', '*', 'model']
+const parseJsonPath = (jsonPath) => {
+  const source = jsonPath.replace(/^\$\.?/, '');
+  const segment = /\[\s*(\*|\d+)\s*\]|\[\s*(["'])(.*?)\2\s*\]|(?:^|\.)([^.[\]]+)/y;
+  const segments = [];
+  while (segment.lastIndex < source.length) {
+    const at = segment.lastIndex;
+    const m = segment.exec(source);
+    if (!m) throw new Error(`Invalid JSON path at column ${jsonPath.length - source.length + at + 1}: ${jsonPath}`);
+    segments.push(m[1] != null ? (m[1] === '*' ? '*' : Number(m[1])) : m[3] ?? m[4]);
+  }
+  return segments;
+};
+
+// The string values at a JSON path; '*' walks every element or property
+const jsonPathValues = (data, jsonPath) => parseJsonPath(jsonPath)
+  .reduce((values, seg) => values.flatMap(v => {
+    if (v == null || typeof v !== 'object') return [];
+    if (seg === '*') return Object.values(v);
+    return Object.hasOwn(v, seg) ? [v[seg]] : [];
+  }), [data])
+  .filter(v => typeof v === 'string');
+
+// --pattern regexes match per line (^ and $) and anywhere in the file
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'gm');
+  } catch (e) {
+    throw new Error(`Invalid --pattern ${pattern}: ${e.message}`);
+  }
+};
+
+// providerId/modelId, not preceded by anything that would make it part of a URL or path
+const defaultPattern = /(?<![\w./-])[a-z0-9][\w.-]*\/[\w.:@/-]*\w/gi;
+
+const position = (text, index) => {
+  const before = text.slice(0, index).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+const unquote = (s) => s.trim().replace(/^(["'])(.*)\1$/, '$2');
+
+// [{ file, line, column, ref }] in one file's text. paths/patterns as from the CLI;
+// providerIds are the catalogue's, for the default pattern.
+const extractReferences = (text, { file = '', paths = [], patterns = [], providerIds = [] } = {}) => {
+  const refs = [];
+  const isJson = path.extname(file).toLowerCase() === '.json';
+  // Rather than quietly scanning a YAML file that --path was meant for
+  if (paths.length && !isJson) {
+    throw new Error(`--path only reads .json files, not ${file}; match its references with --pattern (e.g. --pattern 'model: *(\\S+)') in a separate run`);
+  }
+  if (paths.length) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Cannot parse ${file}: ${e.message}`);
+    }
+    // Each value is located at its next occurrence in the text, for the line number
+    const searchFrom = new Map();
+    for (const jsonPath of paths) {
+      for (const ref of jsonPathValues(data, jsonPath)) {
+        const quoted = JSON.stringify(ref);
+        const index = text.indexOf(quoted, searchFrom.get(quoted) ?? 0);
+        searchFrom.set(quoted, index + 1);
+        refs.push({ file, ...position(text, index < 0 ? 0 : index + 1), ref });
+      }
+    }
+  }
+  for (const re of patterns.map(compilePattern)) {
+    for (const m of text.matchAll(re)) {
+      // The first capture group that matched, or the whole match
+      const group = m.slice(1).findIndex(g => g != null);
+      const value = group < 0 ? m[0] : m[group + 1];
+      const ref = unquote(value);
+      if (ref) refs.push({ file, ...position(text, m.index + (group < 0 ? 0 : m[0].indexOf(value))), ref });
+    }
+  }
+  if (!patterns.length && !paths.length) {
+    const providers = new Set(providerIds);
+    for (const m of text.matchAll(defaultPattern)) {
+      if (providers.has(m[0].slice(0, m[0].indexOf('/')))) refs.push({ file, ...position(text, m.index), ref: m[0] });
+    }
+  }
+  return refs.sort((a, b) => a.line - b.line || a.column - b.column);
+};
+
+const fmtTokens = (n) => n == null ? 'unknown' : n >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${Math.round(n / 1e3)}k` : String(n);
+const usd = (v) => v != null ? `$${v}` : 'unpriced';
+
+// How a failed criterion reads in the report, with the model's own value where it helps
+const criterionLabels = {
+  provider: (v) => `provider ${v}`,
+  tool: (v) => v ? 'tool calling' : 'no tool calling',
+  reasoning: (v) => v ? 'reasoning' : 'no reasoning',
+  temperature: (v) => v ? 'adjustable temperature' : 'fixed temperature',
+  openWeights: (v) => v ? 'open weights' : 'closed weights',
+  minContext: (v, m) => `context ≥ ${fmtTokens(v)} (has ${fmtTokens(m.contextLimit)})`,
+  maxInputCost: (v, m) => `input ≤ $${v} (costs ${usd(m.inputCost)})`,
+  maxOutputCost: (v, m) => `output ≤ $${v} (costs ${usd(m.outputCost)})`,
+  modalitiesInput: (v) => `${v.join(', ')} input`,
+  modalitiesOutput: (v) => `${v.join(', ')} output`,
+  releasedAfter: (v, m) => `released ≥ ${v} (${m.releaseDate ?? 'unknown'})`,
+  knowledgeAfter: (v, m) => `knowledge ≥ ${v} (${m.knowledge ?? 'unknown'})`,
+  where: (v) => `where ${v}`
+};
+
+// The filterModels criteria `model` fails, as labels; none means it meets them all
+const unmetCriteria = (model, criteria = {}) => Object.entries(criteria)
+  .filter(([key, value]) => key !== 'search' && value != null && !(Array.isArray(value) && !value.length))
+  .filter(([key, value]) => !filterModels([model], { [key]: value }).length)
+  .map(([key, value]) => (criterionLabels[key] ?? ((v) => `${key} ${v}`))(value, model));
+
+// Up to three close matches from the ranked search: on the model part of providerId/modelId,
+// so a typo in either half still finds the model
+const suggestModels = (models, ref) => {
+  const term = ref.includes('/') ? ref.slice(ref.indexOf('/') + 1) : ref;
+  return searchModels(models, term).slice(0, 3).map(h => modelKey(h.model));
+};
+
+// Check references against the catalogue: providerId/modelId, or a bare model id, which is
+// valid when any provider has it. `history` events (readHistory) date the removal of retired models.
+//
+// { references: [{ ...ref, status, matches, unmet, suggestions, removedAt }], errors, warnings }
+// where status is ok | unknown (an error) | unmet (a warning: fails the criteria)
+const validateReferences = (models, refs, { criteria = {}, history = [] } = {}) => {
+  const byKey = new Map(models.map(m => [modelKey(m), m]));
+  const removed = new Map(history.filter(e => e.type === 'removed').map(e => [e.key, e.at]));
+  const references = refs.map(r => {
+    const found = byKey.has(r.ref) ? [byKey.get(r.ref)] : models.filter(m => m.id === r.ref);
+    if (!found.length) {
+      return {
+        ...r,
+        status: 'unknown',
+        matches: [],
+        unmet: [],
+        suggestions: suggestModels(models, r.ref),
+        removedAt: removed.has(r.ref) ? new Date(removed.get(r.ref)).toISOString() : null
+      };
+    }
+    const unmet = found.map(m => unmetCriteria(m, criteria));
+    const passes = unmet.some(u => !u.length);
+    return { ...r, status: passes ? 'ok' : 'unmet', matches: found.map(modelKey), unmet: passes ? [] : unmet[0], suggestions: [], removedAt: null };
+  });
+  return {
+    references,
+    errors: references.filter(r => r.status === 'unknown').length,
+    warnings: references.filter(r => r.status === 'unmet').length
+  };
+};
+
+// Read and check `files`; unreadable files and bad paths/patterns throw
+const validateFiles = async (models, files, { paths = [], patterns = [], criteria = {}, history = [] } = {}) => {
+  const providerIds = listProviders(models).map(p => p.id);
+  const refs = [];
+  for (const file of files) {
+    let text;
+    try {
+      text = await readFile(file, 'utf8');
+    } catch (e) {
+      throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+    refs.push(...extractReferences(text, { file, paths, patterns, providerIds }));
+  }
+  return { files, ...validateReferences(models, refs, { criteria, history }) };
+};
+
+// One line per problem under its file, eslint style, and a summary
+const formatValidateReport = (report) => {
+  const lines = [];
+  const problems = report.references.filter(r => r.status !== 'ok');
+  const width = Math.max(0, ...problems.map(r => r.ref.length));
+  for (const file of report.files) {
+    const mine = problems.filter(r => r.file === file);
+    if (!mine.length) continue;
+    lines.push(chalk.underline(file));
+    for (const r of mine) {
+      const where = chalk.gray(`${r.line}:${r.column}`.padEnd(8));
+      if (r.status === 'unknown') {
+        const note = r.removedAt ? ` (removed from the catalogue ${r.removedAt.slice(0, 10)})` : '';
+        const hint = r.suggestions.length ? `; did you mean ${r.suggestions.join(', ')}?` : '';
+        lines.push(`  ${where} ${chalk.red('error  ')}  ${r.ref.padEnd(width)}  Unknown model${note}${hint}`);
+      } else {
+        lines.push(`  ${where} ${chalk.yellow('warning')}  ${r.ref.padEnd(width)}  Requires ${r.unmet.join(', ')}`);
+      }
+    }
+    lines.push('');
+  }
+  const counted = `${report.references.length} reference(s) across ${report.files.length} file(s)`;
+  if (!report.references.length) lines.push(chalk.yellow(`No model references found in ${report.files.length} file(s)`));
+  else if (!problems.length) lines.push(chalk.green(`✓ ${counted}, all valid`));
+  else lines.push(`${chalk.red(`${report.errors} error(s)`)}, ${chalk.yellow(`${report.warnings} warning(s)`)} in ${counted}`);
+  return lines.join('\n');
+};
+
+export { parseJsonPath, extractReferences, unmetCriteria, validateReferences, validateFiles, formatValidateReport };
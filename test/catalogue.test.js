@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadCatalogue, modelKey } from '../lib/catalogue.js';
+
+const base = {
+  openai: {
+    id: 'openai', name: 'OpenAI',
+    models: {
+      'gpt-4.1': { id: 'gpt-4.1', name: 'GPT-4.1', tool_call: true, limit: { context: 1047576, output: 32768 }, cost: { input: 2, output: 8 } },
+      o3: { id: 'o3', name: 'o3', reasoning: true, cost: { input: 2, output: 8 } }
+    }
+  },
+  groq: { id: 'groq', name: 'Groq', models: { 'llama-3.3-70b-versatile': { id: 'llama-3.3-70b-versatile', name: 'Llama 3.3 70B' } } }
+};
+
+// The docs' example overlay
+const overlay = {
+  openai: {
+    models: {
+      'gpt-4.1': { cost: { input: 1.5 } },
+      o3: { hidden: true }
+    }
+  },
+  groq: { hidden: true },
+  acme: {
+    name: 'Acme Internal',
+    models: { 'acme-coder-ft': { name: 'Acme Coder (fine-tuned)', tool_call: true, cost: { input: 0.2, output: 0.8 } } }
+  }
+};
+
+// Loads `layers` written to files: the last one as the overlay, the others as sources in order
+const load = async (t, layers) => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'models-dev-catalogue-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const files = layers.map((data, i) => {
+    const file = path.join(dir, `layer-${i}.json`);
+    writeFileSync(file, JSON.stringify(data));
+    return file;
+  });
+  const result = await loadCatalogue({ sources: files.slice(0, -1), overlay: files.at(-1) });
+  return { ...result, files, byKey: new Map(result.models.map(m => [modelKey(m), m])) };
+};
+
+test('an overlay adds providers and models, labelled with their source', async (t) => {
+  const { byKey, files, sources } = await load(t, [base, overlay]);
+  const added = byKey.get('acme/acme-coder-ft');
+  assert.equal(added.provider, 'Acme Internal');
+  assert.equal(added.id, 'acme-coder-ft');
+  assert.equal(added.tool, true);
+  assert.equal(added.source, files[1]);
+  assert.equal(byKey.get('openai/gpt-4.1').source, files[0]);
+  assert.deepEqual(sources, files);
+});
+
+test('an overlay merges fields into existing models and records each override', async (t) => {
+  const { byKey, files } = await load(t, [base, overlay]);
+  const gpt = byKey.get('openai/gpt-4.1');
+  assert.equal(gpt.inputCost, 1.5);
+  assert.equal(gpt.outputCost, 8, 'objects merge key by key');
+  assert.equal(gpt.contextLimit, 1047576);
+  assert.deepEqual(gpt.overrides, { inputCost: files[1] });
+});
+
+test('an overlay hides models and whole providers', async (t) => {
+  const { byKey } = await load(t, [base, overlay]);
+  assert.equal(byKey.has('openai/o3'), false);
+  assert.equal([...byKey.keys()].some(k => k.startsWith('groq/')), false);
+});
+
+test('overrides accumulate across sources, the latest layer winning each field', async (t) => {
+  const mirror = { openai: { models: { 'gpt-4.1': { cost: { output: 6 } } } } };
+  const { byKey, files } = await load(t, [base, mirror, overlay]);
+  const gpt = byKey.get('openai/gpt-4.1');
+  assert.equal(gpt.outputCost, 6);
+  assert.deepEqual(gpt.overrides, { outputCost: files[1], inputCost: files[2] });
+});
+
+test('a model without changes records no overrides', async (t) => {
+  const same = { openai: { models: { 'gpt-4.1': { cost: { input: 2 } } } } };
+  const { byKey } = await load(t, [base, same]);
+  assert.equal(byKey.get('openai/gpt-4.1').overrides, undefined);
+});
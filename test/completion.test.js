@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { createProgram } from '../lib/cli.js';
+import { completionCandidates, completionScript } from '../lib/completion.js';
+
+const models = [
+  { providerId: 'openai', provider: 'OpenAI', id: 'gpt-4.1' },
+  { providerId: 'openai', provider: 'OpenAI', id: 'gpt-4.1-mini' },
+  { providerId: 'openrouter', provider: 'OpenRouter', id: 'openai/gpt-4.1' }
+];
+
+test('completionCandidates completes provider ids and providerId/modelId keys', () => {
+  assert.deepEqual(completionCandidates(models, 'providers', 'open'), ['openai', 'openrouter']);
+  assert.deepEqual(completionCandidates(models, 'models', 'openai/gpt-4.1-'), ['openai/gpt-4.1-mini']);
+  assert.throws(() => completionCandidates(models, 'bogus'), /Unknown completion kind/);
+});
+
+test('completionCandidates completes a bare model id to its full keys', () => {
+  assert.deepEqual(completionCandidates(models, 'models', 'gpt-4.1-m'), ['openai/gpt-4.1-mini']);
+  assert.deepEqual(completionCandidates(models, 'models', 'nobody/'), []);
+});
+
+// Completes `words` (the last one being completed) with the generated bash script, against a
+// stand-in models-dev that prints the arguments it was called with
+test('the bash script passes --source, --overlay and --no-overlay on to __complete', (t) => {
+  const bash = spawnSync('bash', ['-c', 'true']);
+  if (bash.error) return t.skip('bash is not installed');
+  const script = completionScript(createProgram(), 'bash');
+  const complete = (...words) => spawnSync('bash', ['-c', `
+    fake() { printf '%s\\n' "$*"; }
+    ${script}
+    COMP_WORDS=(${words.map(w => `'${w}'`).join(' ')}) COMP_CWORD=${words.length - 1}
+    _models_dev
+    printf '%s\\n' "\${COMPREPLY[@]}"
+  `], { encoding: 'utf8', env: { ...process.env, HOME: '/home/me' } }).stdout.trim().split('\n').join(' ');
+  assert.equal(complete('fake', '--source', '~/team.json', '--no-overlay', '--provider', 'o'), '--source /home/me/team.json --no-overlay __complete providers o');
+  assert.equal(complete('fake', '--overlay', 'o.json', 'compare', 'gpt'), '--overlay o.json __complete models gpt');
+  assert.equal(complete('fake', '--provider', 'o'), '__complete providers o');
+});
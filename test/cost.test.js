@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fmtUsd, parseTokenCount, priceWorkload, rankByWorkload } from '../lib/cost.js';
+
+const model = (id, prices) => ({ providerId: 'p', provider: 'p', id, ...prices });
+
+test('priceWorkload prices each part per 1M tokens and sums the total', () => {
+  const m = model('a', { inputCost: 3, outputCost: 15, cacheReadCost: 0.3 });
+  const { breakdown, total, missing } = priceWorkload(m, { input: 2e6, output: 500e3, cacheRead: 1e6 });
+  assert.deepEqual(breakdown, { input: 6, output: 7.5, cacheRead: 0.3, cacheWrite: 0 });
+  assert.equal(total, 13.8);
+  assert.deepEqual(missing, []);
+});
+
+test('priceWorkload leaves the total unknown when a used part has no price', () => {
+  const m = model('a', { inputCost: 3, outputCost: 15 });
+  const { breakdown, total, missing } = priceWorkload(m, { input: 1e6, cacheWrite: 1e6 });
+  assert.equal(breakdown.cacheWrite, null);
+  assert.equal(total, null);
+  assert.deepEqual(missing, ['cacheWrite']);
+  // an unpriced part the workload does not use costs nothing
+  assert.equal(priceWorkload(m, { input: 1e6 }).total, 3);
+});
+
+test('rankByWorkload puts the cheapest first and unpriced models last', () => {
+  const ranked = rankByWorkload([
+    model('dear', { inputCost: 10 }),
+    model('unpriced', {}),
+    model('cheap', { inputCost: 0.5 })
+  ], { input: 1e6 });
+  assert.deepEqual(ranked.map(r => r.model.id), ['cheap', 'dear', 'unpriced']);
+});
+
+test('parseTokenCount accepts k/M/B suffixes and rejects anything else', () => {
+  assert.equal(parseTokenCount('300k'), 300000);
+  assert.equal(parseTokenCount('1.5M'), 1500000);
+  assert.equal(parseTokenCount('1_000'), 1000);
+  assert.throws(() => parseTokenCount('lots'), /Invalid token count: lots/);
+});
+
+test('fmtUsd trims padding zeros and never shows a non-zero cost as $0', () => {
+  assert.equal(fmtUsd(null), '-');
+  assert.equal(fmtUsd(0), '$0');
+  assert.equal(fmtUsd(4), '$4.00');
+  assert.equal(fmtUsd(12.345), '$12.35');
+  assert.equal(fmtUsd(0.75), '$0.75');
+  assert.equal(fmtUsd(0.0012), '$0.0012');
+  assert.equal(fmtUsd(0.00006), '$0.0001');
+  assert.equal(fmtUsd(0.000001), '<$0.0001');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffCatalogues } from '../lib/diff.js';
+
+const model = (providerId, id, extra = {}) =>
+  ({ providerId, provider: providerId, id, name: id, inputCost: 1, outputCost: 2, contextLimit: 128000, ...extra });
+
+test('diffCatalogues lists added and removed models sorted by key', () => {
+  const before = [model('openai', 'gpt-4o'), model('anthropic', 'claude-3-opus')];
+  const after = [model('openai', 'gpt-4o'), model('openai', 'gpt-5'), model('anthropic', 'claude-opus-4')];
+  const diff = diffCatalogues(before, after);
+  assert.deepEqual(diff.added.map(m => `${m.providerId}/${m.id}`), ['anthropic/claude-opus-4', 'openai/gpt-5']);
+  assert.deepEqual(diff.removed.map(m => `${m.providerId}/${m.id}`), ['anthropic/claude-3-opus']);
+  assert.deepEqual(diff.changed, []);
+});
+
+test('diffCatalogues reports price and limit changes field by field', () => {
+  const before = [model('openai', 'gpt-4o', { inputCost: 5, outputCost: 15, contextLimit: 128000, outputLimit: 4096 })];
+  const after = [model('openai', 'gpt-4o', { inputCost: 2.5, outputCost: 15, contextLimit: 128000, outputLimit: 16384 })];
+  assert.deepEqual(diffCatalogues(before, after).changed, [{
+    key: 'openai/gpt-4o',
+    provider: 'openai',
+    name: 'gpt-4o',
+    changes: [
+      { field: 'inputCost', from: 5, to: 2.5 },
+      { field: 'outputLimit', from: 4096, to: 16384 }
+    ]
+  }]);
+});
+
+test('diffCatalogues treats a missing value as null and compares arrays by content', () => {
+  const before = [
+    model('openai', 'gpt-4o', { modalitiesInput: ['text', 'image'] }),
+    model('openai', 'o3', { cacheReadCost: 0.5 })
+  ];
+  const after = [
+    model('openai', 'gpt-4o', { modalitiesInput: ['text', 'image'], cacheReadCost: null }),
+    model('openai', 'o3')
+  ];
+  assert.deepEqual(diffCatalogues(before, after).changed, [{
+    key: 'openai/o3', provider: 'openai', name: 'o3', changes: [{ field: 'cacheReadCost', from: 0.5, to: null }]
+  }]);
+});
+
+test('diffCatalogues of identical catalogues is empty', () => {
+  const models = [model('openai', 'gpt-4o'), model('groq', 'llama-3.3-70b-versatile')];
+  assert.deepEqual(diffCatalogues(models, models.map(m => ({ ...m }))), { added: [], removed: [], changed: [] });
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterSyntaxError, compileFilter } from '../lib/filter.js';
+
+const model = {
+  provider: 'Anthropic', providerId: 'anthropic', id: 'claude-sonnet-4', name: 'Claude Sonnet 4',
+  tool: true, reasoning: true, contextLimit: 200000, inputCost: 3, outputCost: 15,
+  modalitiesInput: ['text', 'image'], modalitiesOutput: ['text'], releaseDate: '2025-05-22'
+};
+
+test('compileFilter matches with aliases, k suffixes and boolean logic', () => {
+  assert.equal(compileFilter('tool and ctx>=128k and in$<=3')(model), true);
+  assert.equal(compileFilter('ctx>200k or not reasoning')(model), false);
+});
+
+// The caret sits under the column the error names
+const caretColumn = (message) => message.split('\n')[2].indexOf('^') - 1;
+
+test('compileFilter reports a missing value at the end with a caret', () => {
+  assert.throws(() => compileFilter('ctx>='), (err) => {
+    assert.ok(err instanceof FilterSyntaxError);
+    assert.equal(err.column, 6);
+    assert.equal(err.reason, 'Expected a value, found end of expression');
+    assert.equal(err.message.split('\n')[1], '  ctx>=');
+    assert.equal(caretColumn(err.message), err.column);
+    return true;
+  });
+});
+
+test('compileFilter points at an unknown field', () => {
+  assert.throws(() => compileFilter('tool and bogus>1'), (err) => {
+    assert.ok(err instanceof FilterSyntaxError);
+    assert.equal(err.column, 10);
+    assert.equal(caretColumn(err.message), 10);
+    return true;
+  });
+});
+
+test('compileFilter points at an unterminated string', () => {
+  assert.throws(() => compileFilter('name~"sonnet'), (err) => {
+    assert.ok(err instanceof FilterSyntaxError);
+    assert.match(err.reason, /Unterminated string/);
+    assert.equal(caretColumn(err.message), err.column);
+    return true;
+  });
+});
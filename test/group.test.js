@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalModelId, groupModels, groupRecords } from '../lib/group.js';
+
+test('canonicalModelId reduces each provider form of a model to one id', () => {
+  for (const id of [
+    'claude-sonnet-4-20250514', // first-party snapshot
+    'anthropic.claude-sonnet-4-20250514-v1:0', // Bedrock
+    'us.anthropic.claude-sonnet-4-20250514-v1:0', // Bedrock cross-region
+    'claude-sonnet-4@20250514', // Vertex
+    'anthropic/claude-sonnet-4' // OpenRouter
+  ]) assert.equal(canonicalModelId(id), 'claude-sonnet-4', id);
+});
+
+test('canonicalModelId drops routing tags and serving names and normalises separators', () => {
+  assert.equal(canonicalModelId('llama-3.3-70b-versatile'), 'llama-3-3-70b');
+  assert.equal(canonicalModelId('meta.llama3-3-70b-instruct-v1:0'), 'llama-3-3-70b');
+  assert.equal(canonicalModelId('meta-llama/llama-3.3-70b-instruct:free'), 'llama-3-3-70b');
+  assert.equal(canonicalModelId('openai/gpt-4.1-2025-04-14'), 'gpt-4-1');
+  assert.equal(canonicalModelId('gpt-4o-latest'), 'gpt-4o');
+});
+
+test('canonicalModelId keeps the Bedrock vendor in front of a bare code', () => {
+  assert.equal(canonicalModelId('deepseek.r1-v1:0'), 'deepseek-r1');
+  assert.equal(canonicalModelId('us.deepseek.r1-v1:0'), 'deepseek-r1');
+});
+
+const offering = (providerId, id, inputCost, outputCost) =>
+  ({ providerId, provider: providerId, id, name: 'Claude Sonnet 4', canonicalId: canonicalModelId(id), inputCost, outputCost });
+const catalogue = [
+  offering('anthropic', 'claude-sonnet-4-20250514', 3, 15),
+  offering('amazon-bedrock', 'anthropic.claude-sonnet-4-20250514-v1:0', 3, 15),
+  offering('openrouter', 'anthropic/claude-sonnet-4', 2.5, 12),
+  offering('groq', 'llama-3.3-70b-versatile', 0.59, 0.79)
+];
+
+test('groupModels prices each group by its cheapest matching offering', () => {
+  const groups = groupModels(catalogue.filter(m => m.providerId !== 'openrouter'), catalogue);
+  assert.deepEqual(groups.map(g => g.canonicalId), ['claude-sonnet-4', 'llama-3-3-70b']);
+  const [sonnet] = groups;
+  assert.equal(sonnet.offerings.length, 3);
+  assert.equal(sonnet.offerings[0].model.providerId, 'openrouter');
+  assert.equal(sonnet.offerings[0].matches, false);
+  assert.equal(sonnet.cheapest.providerId, 'anthropic');
+  assert.equal(groupRecords(groups)[0].cheapest, 'anthropic/claude-sonnet-4-20250514');
+});
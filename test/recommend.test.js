@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { paretoFrontier, recommendModels } from '../lib/recommend.js';
+
+const model = (id, extra = {}) => ({ providerId: 'p', provider: 'p', id, ...extra });
+const ids = (models) => models.map(m => m.id);
+
+test('paretoFrontier drops models another one beats on price, context and output together', () => {
+  const cheapBig = model('cheap-big', { inputCost: 1, outputCost: 4, contextLimit: 200000, outputLimit: 8192 });
+  const dearSmall = model('dear-small', { inputCost: 3, outputCost: 15, contextLimit: 128000, outputLimit: 8192 });
+  const dearHuge = model('dear-huge', { inputCost: 3, outputCost: 15, contextLimit: 1000000, outputLimit: 8192 });
+  // dear-small is beaten by cheap-big; dear-huge trades price for context and stays
+  assert.deepEqual(ids(paretoFrontier([cheapBig, dearSmall, dearHuge])), ['cheap-big', 'dear-huge']);
+});
+
+test('paretoFrontier keeps models that tie on every axis', () => {
+  const a = model('a', { inputCost: 1, outputCost: 2, contextLimit: 128000, outputLimit: 4096 });
+  const b = model('b', { inputCost: 1, outputCost: 2, contextLimit: 128000, outputLimit: 4096 });
+  assert.deepEqual(ids(paretoFrontier([a, b])), ['a', 'b']);
+});
+
+test('paretoFrontier counts a missing price or limit as the worst value', () => {
+  const priced = model('priced', { inputCost: 5, outputCost: 20, contextLimit: 128000, outputLimit: 4096 });
+  const unpriced = model('unpriced', { contextLimit: 128000, outputLimit: 4096 });
+  const unpricedHuge = model('unpriced-huge', { contextLimit: 2000000 });
+  assert.deepEqual(ids(paretoFrontier([priced, unpriced, unpricedHuge])), ['priced', 'unpriced-huge']);
+});
+
+test('recommendModels ranks on the weighted criteria and names the strongest in the reason', () => {
+  const ranked = recommendModels([
+    model('cheap', { inputCost: 0.1, outputCost: 0.4, contextLimit: 32000 }),
+    model('big', { inputCost: 5, outputCost: 20, contextLimit: 1000000 })
+  ], { weights: { cost: 1, context: 0, output: 0, recency: 0 } });
+  assert.deepEqual(ranked.map(r => r.model.id), ['cheap', 'big']);
+  assert.equal(ranked[0].score, 100);
+  assert.equal(ranked[1].score, 0);
+  assert.equal(ranked[0].reason, 'cheapest ($0.1 in / $0.4 out)');
+  assert.equal(ranked[1].reason, '2nd cheapest ($5 in / $20 out)');
+});
+
+test('recommendModels breaks a score tie on the blended price', () => {
+  const ranked = recommendModels([
+    model('dear', { inputCost: 3, outputCost: 15, contextLimit: 200000 }),
+    model('cheap', { inputCost: 1, outputCost: 5, contextLimit: 200000 })
+  ], { weights: { cost: 0, context: 1, output: 0, recency: 0 } });
+  assert.equal(ranked[0].score, ranked[1].score);
+  assert.deepEqual(ranked.map(r => r.model.id), ['cheap', 'dear']);
+});
+
+test('recommendModels scores a model without prices 0 on cost and says so', () => {
+  const ranked = recommendModels([
+    model('priced', { inputCost: 1, outputCost: 2, contextLimit: 128000 }),
+    model('unpriced', { contextLimit: 128000 })
+  ], { weights: { cost: 1, context: 1, output: 0, recency: 0 } });
+  const unpriced = ranked.find(r => r.model.id === 'unpriced');
+  assert.equal(unpriced.scores.cost, 0);
+  assert.equal(unpriced.score, 50);
+  assert.equal(unpriced.reason, 'largest context (128k); no cost data');
+  assert.equal(ranked[0].model.id, 'priced');
+});
+
+test('recommendModels with pareto only ranks the frontier', () => {
+  const ranked = recommendModels([
+    model('cheap-big', { inputCost: 1, outputCost: 4, contextLimit: 200000, outputLimit: 8192 }),
+    model('dear-small', { inputCost: 3, outputCost: 15, contextLimit: 128000, outputLimit: 8192 })
+  ], { pareto: true });
+  assert.deepEqual(ranked.map(r => r.model.id), ['cheap-big']);
+});
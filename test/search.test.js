@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { highlightText, parseSearch, searchModels } from '../lib/search.js';
+
+const model = (providerId, provider, id, name) => ({ providerId, provider, id, name, modalitiesInput: ['text'], modalitiesOutput: ['text'] });
+const models = [
+  model('openai', 'OpenAI', 'gpt-4.1', 'GPT-4.1'),
+  model('anthropic', 'Anthropic', 'claude-sonnet-4', 'Claude Sonnet 4'),
+  model('openrouter', 'OpenRouter', 'anthropic/claude-sonnet-4', 'Anthropic: Claude Sonnet 4'),
+  model('groq', 'Groq', 'llama-3.3-70b-versatile', 'Llama 3.3 70B Versatile')
+];
+const keys = (hits) => hits.map(h => `${h.model.providerId}/${h.model.id}`);
+
+test('parseSearch splits prefixes, quotes and bare terms', () => {
+  const [provider, quoted, bare] = parseSearch('provider:groq name:"sonnet 4" llama');
+  assert.deepEqual(provider, { keys: ['provider', 'providerId'], value: 'groq', exact: false });
+  assert.deepEqual(quoted, { keys: ['name'], value: 'sonnet 4', exact: true });
+  assert.equal(bare.value, 'llama');
+  assert.ok(bare.keys.includes('ref'));
+});
+
+test('parseSearch keeps unknown prefixes in the term and cuts terms at |', () => {
+  assert.deepEqual(parseSearch('llama:free').map(t => t.value), ['llama:free']);
+  assert.deepEqual(parseSearch('gpt|claude').map(t => t.value), ['gpt', 'claude']);
+  assert.deepEqual(parseSearch('  '), []);
+});
+
+test('searchModels matches fuzzily, best first, and every term must match', () => {
+  assert.deepEqual(keys(searchModels(models, 'sonet')).sort(), ['anthropic/claude-sonnet-4', 'openrouter/anthropic/claude-sonnet-4']);
+  assert.deepEqual(keys(searchModels(models, 'provider:openrouter sonnet')), ['openrouter/anthropic/claude-sonnet-4']);
+  const [best] = searchModels(models, '"gpt-4.1"');
+  assert.equal(best.model.id, 'gpt-4.1');
+  assert.equal(best.score, 1);
+  assert.deepEqual(best.matches.id, [[0, 6]]);
+});
+
+test('searchModels matches provider id and model id together', () => {
+  assert.deepEqual(keys(searchModels(models, 'openrouter/anthropic')), ['openrouter/anthropic/claude-sonnet-4']);
+  const [hit] = searchModels(models, 'openai/gpt-4.1');
+  assert.deepEqual(hit.matches.providerId, [[0, 5]]);
+  assert.deepEqual(hit.matches.id, [[0, 6]]);
+});
+
+test('searchModels reads extended-search operators as plain text', () => {
+  assert.deepEqual(keys(searchModels(models, '!gpt')), ['openai/gpt-4.1']);
+  assert.deepEqual(keys(searchModels(models, '=llama')), ['groq/llama-3.3-70b-versatile']);
+  assert.deepEqual(keys(searchModels(models, "'sonnet$")).sort(), ['anthropic/claude-sonnet-4', 'openrouter/anthropic/claude-sonnet-4']);
+});
+
+test('searchModels returns everything, unranked, for an empty query', () => {
+  assert.equal(searchModels(models, '').length, models.length);
+});
+
+test('highlightText marks the ranges and passes the rest through plain', () => {
+  const out = highlightText('claude-sonnet-4', [[7, 12], [14, 20]], { mark: (s) => `[${s}]`, plain: (s) => s.toUpperCase() });
+  assert.equal(out, 'CLAUDE-[sonnet]-[4]');
+  assert.equal(highlightText('gpt', undefined, { mark: (s) => `[${s}]` }), 'gpt');
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// The cache and history paths are read when catalogue.js loads, so they are set first
+const dir = mkdtempSync(path.join(os.tmpdir(), 'models-dev-serve-'));
+process.env.XDG_CACHE_HOME = dir;
+process.env.XDG_STATE_HOME = dir;
+for (const name of ['http_proxy', 'https_proxy', 'all_proxy']) {
+  delete process.env[name];
+  delete process.env[name.toUpperCase()];
+}
+const { createCatalogueServer } = await import('../lib/server.js');
+
+const catalogue = {
+  openai: {
+    id: 'openai', name: 'OpenAI',
+    models: {
+      'gpt-4.1': { id: 'gpt-4.1', name: 'GPT-4.1', tool_call: true, limit: { context: 1047576 }, cost: { input: 2, output: 8 } },
+      'gpt-4.1-mini': { id: 'gpt-4.1-mini', name: 'GPT-4.1 mini', tool_call: true, limit: { context: 1047576 }, cost: { input: 0.4, output: 1.6 } }
+    }
+  },
+  groq: {
+    id: 'groq', name: 'Groq',
+    models: { 'llama-3.3-70b-versatile': { id: 'llama-3.3-70b-versatile', name: 'Llama 3.3 70B', tool_call: false, limit: { context: 131072 }, cost: { input: 0.59, output: 0.79 } } }
+  }
+};
+
+// The upstream catalogue, with an ETag; `requests` records what each request sent
+const requests = [];
+const upstream = http.createServer((req, res) => {
+  requests.push({ ifNoneMatch: req.headers['if-none-match'] ?? null });
+  if (req.headers['if-none-match'] === '"v1"') {
+    res.writeHead(304);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' });
+  res.end(JSON.stringify(catalogue));
+});
+
+let server;
+let base;
+const listen = (s) => new Promise(resolve => s.listen(0, '127.0.0.1', () => resolve(s.address().port)));
+
+before(async () => {
+  const source = `http://127.0.0.1:${await listen(upstream)}/api.json`;
+  server = await createCatalogueServer({ sources: [source], overlay: false, refreshInterval: '0.3s', retries: 0 });
+  base = `http://127.0.0.1:${await listen(server)}`;
+});
+
+after(() => {
+  server.close();
+  upstream.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const get = async (pathname, headers = {}) => {
+  const res = await fetch(`${base}${pathname}`, { headers });
+  const text = await res.text();
+  return { status: res.status, etag: res.headers.get('etag'), body: text ? JSON.parse(text) : null };
+};
+
+test('/models filters, sorts and picks fields', async () => {
+  const { status, body } = await get('/models?tool=true&maxInputCost=1&fields=id,inputCost');
+  assert.equal(status, 200);
+  assert.deepEqual(body, [{ id: 'gpt-4.1-mini', inputCost: 0.4 }]);
+  const sorted = await get('/models?min-context=128k&sort=inputCost:desc&fields=id');
+  assert.deepEqual(sorted.body.map(m => m.id), ['gpt-4.1', 'llama-3.3-70b-versatile', 'gpt-4.1-mini']);
+});
+
+test('/models/:providerId/:id returns one model, or a 404', async () => {
+  assert.equal((await get('/models/groq/llama-3.3-70b-versatile')).body.name, 'Llama 3.3 70B');
+  const missing = await get('/models/groq/nope');
+  assert.equal(missing.status, 404);
+  assert.match(missing.body.error, /Unknown model groq\/nope/);
+});
+
+test('/cost ranks the workload and honours fields, keeping the cost', async () => {
+  const { status, body } = await get('/cost?input=1M&output=1M&provider=openai&fields=id');
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(r => Object.keys(r)), [['id', 'cost', 'missingPricing'], ['id', 'cost', 'missingPricing']]);
+  assert.deepEqual(body.map(r => [r.id, r.cost.total]), [['gpt-4.1-mini', 2], ['gpt-4.1', 10]]);
+});
+
+test('invalid parameters are a 400 with the reason', async () => {
+  for (const [query, message] of [
+    ['/models?tool=maybe', /tool must be true or false/],
+    ['/models?minContext=lots', /minContext must be a number/],
+    ['/models?fields=bogus', /Unknown field: bogus/],
+    ['/models?where=ctx%3E%3D', /Expected a value/],
+    ['/models?limit=-1', /limit must be a non-negative integer/],
+    ['/cost', /Specify a workload/]
+  ]) {
+    const { status, body } = await get(query);
+    assert.equal(status, 400, query);
+    assert.match(body.error, message, query);
+  }
+});
+
+test('a matching If-None-Match gets a 304', async () => {
+  const first = await get('/models?provider=groq');
+  assert.ok(first.etag);
+  const again = await get('/models?provider=groq', { 'If-None-Match': first.etag });
+  assert.equal(again.status, 304);
+  assert.equal(again.body, null);
+  assert.equal((await get('/models?provider=openai', { 'If-None-Match': first.etag })).status, 200);
+});
+
+test('reloads revalidate the cached copy with its ETag instead of downloading it again', async () => {
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  assert.equal(requests[0].ifNoneMatch, null);
+  assert.ok(requests.length >= 3, `expected a few reloads, saw ${requests.length - 1}`);
+  assert.ok(requests.slice(1).every(r => r.ifNoneMatch === '"v1"'));
+});
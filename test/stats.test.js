@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { catalogueStats } from '../lib/stats.js';
+
+const model = (id, fields) => ({
+  id, provider: 'P', tool: false, reasoning: false, openWeights: false,
+  modalitiesInput: ['text'], modalitiesOutput: ['text'], inputCost: null, outputCost: null, contextLimit: null, releaseDate: null,
+  ...fields
+});
+const models = [
+  model('a', { tool: true, modalitiesInput: ['text', 'image'], inputCost: 1, releaseDate: '2025-03-01' }),
+  model('b', { modalitiesOutput: ['image'], inputCost: 4, releaseDate: '2024-11-20' }),
+  model('c', { modalitiesInput: [], modalitiesOutput: [], inputCost: 2 })
+];
+const rows = (stats) => stats.groups.map(g => [g.group, g.models]);
+
+test('input-modality counts a model once per input modality, largest first and unknown last', () => {
+  assert.deepEqual(rows(catalogueStats(models, 'input-modality')), [['text', 2], ['image', 1], ['unknown', 1]]);
+});
+
+test('output-modality groups by what the models produce', () => {
+  assert.deepEqual(rows(catalogueStats(models, 'output-modality')), [['image', 1], ['text', 1], ['unknown', 1]]);
+});
+
+test('release months run in date order; the total covers every model', () => {
+  const stats = catalogueStats(models, 'release-month');
+  assert.deepEqual(rows(stats), [['2024-11', 1], ['2025-03', 1], ['unknown', 1]]);
+  assert.equal(stats.total.models, 3);
+  assert.equal(stats.total.share.tool, 1 / 3);
+  assert.deepEqual(stats.total.inputCost, { min: 1, median: 2, max: 4 });
+  assert.equal(stats.total.contextLimit, null);
+});
+
+test('catalogueStats rejects an unknown grouping', () => {
+  assert.throws(() => catalogueStats(models, 'modality'), /Unknown grouping: modality \(groupings: provider, input-modality, output-modality, release-month\)/);
+});
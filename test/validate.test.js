@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeCatalogue } from '../lib/catalogue.js';
+import { extractReferences, validateReferences } from '../lib/validate.js';
+
+const raw = {
+  anthropic: {
+    id: 'anthropic', name: 'Anthropic', env: ['ANTHROPIC_API_KEY'],
+    models: {
+      'claude-sonnet-4': { id: 'claude-sonnet-4', name: 'Claude Sonnet 4', tool_call: true, limit: { context: 200000 }, cost: { input: 3, output: 15 } }
+    }
+  },
+  openai: {
+    id: 'openai', name: 'OpenAI', env: ['OPENAI_API_KEY'],
+    models: {
+      'gpt-4.1': { id: 'gpt-4.1', name: 'GPT-4.1', tool_call: true, limit: { context: 1047576 }, cost: { input: 2, output: 8 } },
+      'text-embed': { id: 'text-embed', name: 'Text Embed', tool_call: false, limit: { context: 8192 }, cost: { input: 0.1 } }
+    }
+  }
+};
+const models = normalizeCatalogue(raw);
+const providerIds = ['anthropic', 'openai'];
+
+test('extractReferences follows JSON paths with line and column', () => {
+  const text = '{\n  "agents": {\n    "a": { "model": "openai/gpt-4.1" },\n    "b": { "model": "anthropic/claude-sonnet-4" }\n  }\n}\n';
+  const refs = extractReferences(text, { file: 'agents.json', paths: ['agents.*.model'], providerIds });
+  assert.deepEqual(refs.map(r => [r.ref, r.line, r.column]), [
+    ['openai/gpt-4.1', 3, 22],
+    ['anthropic/claude-sonnet-4', 4, 22]
+  ]);
+});
+
+test('extractReferences rejects --path on files that are not JSON', () => {
+  assert.throws(() => extractReferences('model: openai/gpt-4.1\n', { file: 'app.yaml', paths: ['model'], providerIds }), /--path only reads \.json files, not app\.yaml; .*--pattern 'model: \*\(\\S\+\)'/);
+});
+
+test('extractReferences takes the first group of a pattern, unquoted', () => {
+  const refs = extractReferences('MODEL="openai/gpt-4.1"\nOTHER=1\n', { file: '.env', patterns: ['^MODEL=(.+)$'], providerIds });
+  assert.deepEqual(refs.map(r => [r.ref, r.line]), [['openai/gpt-4.1', 1]]);
+});
+
+test('extractReferences scans for known provider ids by default, skipping URLs and paths', () => {
+  const text = 'use openai/gpt-4.1\nsee https://example.com/openai/docs and ./src/openai/x\nnotaprovider/model\n';
+  const refs = extractReferences(text, { file: 'notes.md', providerIds });
+  assert.deepEqual(refs.map(r => r.ref), ['openai/gpt-4.1']);
+});
+
+test('validateReferences reports unknown models with suggestions and unmet criteria', () => {
+  const refs = [
+    { file: 'f', line: 1, column: 1, ref: 'openai/gpt-4.1' },
+    { file: 'f', line: 2, column: 1, ref: 'openai/gpt-4.2' },
+    { file: 'f', line: 3, column: 1, ref: 'openai/text-embed' },
+    { file: 'f', line: 4, column: 1, ref: 'claude-sonnet-4' }
+  ];
+  const report = validateReferences(models, refs, { criteria: { tool: true } });
+  assert.deepEqual(report.references.map(r => r.status), ['ok', 'unknown', 'unmet', 'ok']);
+  assert.ok(report.references[1].suggestions.includes('openai/gpt-4.1'));
+  assert.deepEqual(report.references[2].unmet, ['tool calling']);
+  assert.deepEqual(report.references[3].matches, ['anthropic/claude-sonnet-4']);
+  assert.equal(report.errors, 1);
+  assert.equal(report.warnings, 1);
+});
+
+test('validateReferences dates models removed from the catalogue', () => {
+  const history = [{ type: 'removed', key: 'openai/gpt-3.5-turbo', at: Date.UTC(2025, 0, 2) }];
+  const report = validateReferences(models, [{ file: 'f', line: 1, column: 1, ref: 'openai/gpt-3.5-turbo' }], { history });
+  assert.equal(report.references[0].removedAt, '2025-01-02T00:00:00.000Z');
+});
+
+test('validate exits 0 when valid, 1 on problems (warnings with --strict) and 2 when it cannot validate', (t) => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'models-dev-validate-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const catalogue = path.join(dir, 'api.json');
+  writeFileSync(catalogue, JSON.stringify(raw));
+  writeFileSync(path.join(dir, 'good.txt'), 'model: openai/gpt-4.1\n');
+  writeFileSync(path.join(dir, 'typo.txt'), 'model: openai/gpt-4.2\n');
+  writeFileSync(path.join(dir, 'embed.txt'), 'model: openai/text-embed\n');
+
+  const bin = fileURLToPath(new URL('../bin/models-dev.js', import.meta.url));
+  const env = { ...process.env, XDG_CACHE_HOME: dir, XDG_CONFIG_HOME: dir, XDG_STATE_HOME: dir, NO_COLOR: '1' };
+  const validate = (...args) => spawnSync(process.execPath, [bin, 'validate', '--source', catalogue, '--no-overlay', ...args], { env, encoding: 'utf8', timeout: 30e3 });
+
+  assert.equal(validate(path.join(dir, 'good.txt')).status, 0);
+  const typo = validate(path.join(dir, 'typo.txt'));
+  assert.equal(typo.status, 1);
+  assert.match(typo.stdout, /Unknown model; did you mean openai\/gpt-4\.1/);
+  assert.equal(validate('--tool', path.join(dir, 'embed.txt')).status, 0);
+  assert.equal(validate('--tool', '--strict', path.join(dir, 'embed.txt')).status, 1);
+  assert.equal(validate(path.join(dir, 'missing.txt')).status, 2);
+  assert.equal(validate('--pattern', '(', path.join(dir, 'good.txt')).status, 2);
+});